@@ -3,61 +3,259 @@ import TelegramBot from "node-telegram-bot-api";
 import cron from "node-cron";
 import puppeteer from "puppeteer";
 import { Buffer } from "node:buffer"; // Explicit import for Buffer
+import fs from "node:fs/promises"; // For the on-disk data store
+import http from "node:http"; // Serves the alert acknowledgement links
+import { randomBytes } from "node:crypto";
+import { readFileSync, watch } from "node:fs"; // Site profiles are read synchronously, so setting one can validate it
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import zlib from "node:zlib"; // For compressing captcha dataset exports
 import axios from "axios"; // Import axios for API calls
 import nodemailer from "nodemailer"; // Import nodemailer for email
 import moment from "moment-timezone"; // Import moment-timezone
+import { createWorker, OEM, PSM } from "tesseract.js"; // Local OCR captcha solver
+import tesseractEnglish from "@tesseract.js-data/eng"; // Bundled language data, so OCR needs no network
+import { Jimp } from "jimp"; // Captcha image preprocessing for OCR
 
 // --- Constants ---
-const CAPTCHA_TIMEOUT_MS = 60 * 1000; // Increased timeout for anti-captcha service (also used for manual captcha wait)
+const CAPTCHA_TIMEOUT_MS = 60 * 1000; // Increased timeout for anti-captcha service
 const PAGE_NAVIGATION_TIMEOUT_MS = 3 * 60 * 1000; // 3 minutes
-const NOTIFICATION_INTERVAL_MS = 5 * 1000; // 5 seconds (for repeated notifications)
-const MAX_NOTIFICATIONS = 50; // Maximum number of repeated notifications (Telegram, Email, Pushbullet combined in interval)
-const EMAIL_NOTIFICATION_FREQUENCY = 10; // Send email every X notifications
-const MAX_EMAIL_NOTIFICATIONS = 10; // Maximum number of emails to send during repeated notifications
-const CRON_SCHEDULE = "*/30 * * * *"; // Every 30 minutes
-const APPOINTMENT_URL =
-  "https://service2.diplo.de/rktermin/extern/appointment_showMonth.do?locationCode=kiga&realmId=1044&categoryId=2149";
-const CAPTCHA_SELECTOR =
-  "#appointment_captcha_month > div:nth-child(1) > captcha > div";
-const CAPTCHA_INPUT_SELECTOR = "#appointment_captcha_month_captchaText";
-const CAPTCHA_REFRESH_SELECTOR = "#appointment_captcha_month_refreshcaptcha"; // Still needed for error handling fallback
-const NEXT_MONTH_BUTTON_SELECTOR =
-  "#content > div.wrapper > h2:nth-child(3) > a:nth-child(2)";
-const NO_APPOINTMENTS_TEXT = "Unfortunately, there are no appointments";
-const WRONG_CAPTCHA_TEXT = "The entered text was wrong";
+// Alert escalation used when ALERT_POLICY is not set: Telegram and Pushbullet every
+// 5 seconds, an email every 50 seconds, and give up after 250 seconds (50 Telegram alerts)
+// Slack, Discord, ntfy, Gotify, Matrix and the webhook get the alert once, if configured.
+const DEFAULT_ALERT_POLICY =
+  "telegram@0s/5s,push@0s/5s,slack@0s,discord@0s,ntfy@0s,gotify@0s,matrix@0s,webhook@0s,email@45s/50s,stop@250s";
+const ALERT_POLICY_UNITS_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+};
+const MIN_ALERT_REPEAT_MS = 1000; // Shortest repeat interval allowed in a policy step
+const ALERT_TITLE = "Appointment Available!"; // Title of alerts on notifiers that show one
+const ALERT_ACK_MAX_BODY_BYTES = 1024; // A POST /ack body only holds the token
+const SCHEDULER_TICK_CRON = "* * * * *"; // Every minute: the scheduler checks whether the next run is due
+// Site profiles hold the appointment URL, selectors, link patterns and page texts of an
+// rktermin site (see site-profiles/); the active one is the siteProfile setting
+const SITE_PROFILE_DIR = fileURLToPath(
+  new URL("./site-profiles/", import.meta.url)
+);
+const DEFAULT_SITE_PROFILE = "en"; // English pages of service2.diplo.de
+const SITE_PROFILE_VERSION = 1; // Profile format this version of the bot understands
+const SITE_PROFILE_SELECTOR_KEYS = [
+  "captcha",
+  "captchaInput",
+  "captchaRefresh", // Clicked by /another and the "New captcha" button
+  "monthHeading", // Heading holding the month shown and the arrows
+  "nextMonthButton",
+  "bookingForm", // The appointment form, opened from a time slot link
+  "bookingCaptcha",
+  "bookingCaptchaInput",
+  "bookingSubmit",
+  "bookingError", // Validation messages shown next to rejected fields
+];
+const SITE_PROFILE_RELOAD_DELAY_MS = 500; // Editors save in several steps; reload once they are done
+const PROFILE_TEST_TIMEOUT_MS = 30 * 1000; // Loading a saved page for /testprofile
+// Watch targets used when WATCH_TARGETS is not set (the original Kigali visa category)
+const DEFAULT_WATCH_TARGETS = [
+  {
+    label: "Kigali",
+    locationCode: "kiga",
+    realmId: "1044",
+    categoryId: "2149",
+  },
+];
+const NEXT_MONTH_BUTTON_TIMEOUT_MS = 10 * 1000; // If the button doesn't appear by then, the site offers no further months
+const MAX_DAYS_WITH_SLOT_DETAILS = 10; // Only fetch time slots for the first N bookable days per month
+const MAX_DAYS_IN_ALERT = 20; // Limit the number of days listed in one alert message
+// Page states (see classifyPageSignals)
+const BLOCKED_HTTP_STATUSES = [403, 429];
+const PAGE_STATE_TIMEOUT_MS = 10 * 1000; // How long a page may take to reach an expected state after loading
+const PAGE_STATE_POLL_MS = 500;
+
+// Auto-booking (the form's selectors are in the site profile)
+const MAX_BOOKING_CAPTCHA_ATTEMPTS = 3;
+// Applicant profile fields: label and the form inputs each one fills
+// (the custom fields[n] depend on the visa category; these match the national visa form)
+const APPLICANT_FIELDS = {
+  firstName: { label: "First name", selectors: ['input[name="firstname"]'] },
+  lastName: { label: "Last name", selectors: ['input[name="lastname"]'] },
+  email: {
+    label: "Email",
+    selectors: ['input[name="email"]', 'input[name="emailrepeat"]'],
+  },
+  passportNumber: {
+    label: "Passport number",
+    selectors: ['input[name="fields[0].content"]'],
+    isSensitive: true, // Masked when shown in chat
+  },
+  nationality: {
+    label: "Nationality",
+    selectors: ['[name="fields[1].content"]'], // A text input or a select
+  },
+};
+
+// Number of months to scan per check, starting with the current month
+const DEFAULT_MONTHS_AHEAD = 2; // Current and next month
+const MAX_MONTHS_AHEAD = 12;
+
+// Check Schedule (runtime-configurable via /interval, /jitter and /adaptive)
+const DEFAULT_CHECK_INTERVAL_MINUTES = 30;
+const MIN_CHECK_INTERVAL_MINUTES = 2; // Don't hammer the appointment site
+const MAX_CHECK_INTERVAL_MINUTES = 24 * 60;
+const DEFAULT_CHECK_JITTER_MINUTES = 0; // Random +/- offset around each run
+const ADAPTIVE_HOT_HOUR_MIN_SIGHTINGS = 2; // Hours where slots appeared at least this often count as "hot"
+const ADAPTIVE_HOT_HOUR_FACTOR = 3; // Check this many times more often during hot hours
+const ADAPTIVE_BACKOFF_MIN_FAILED_RUNS = 2; // A single failed run doesn't slow the schedule down
+const ADAPTIVE_MAX_BACKOFF_EXPONENT = 3; // After repeated failures, back off up to 2^3 = 8x the interval
 
 // Default Working Time Window (Local Time) - Used if not set by commands
-// Working from 10:00 AM to 1:00 AM
-const DEFAULT_WORKING_START_HOUR = 10; // 10 AM
-const DEFAULT_WORKING_START_MINUTE = 0; // 00 minutes
-const DEFAULT_WORKING_END_HOUR = 1; // 1 AM
-const DEFAULT_WORKING_END_MINUTE = 0; // 00 minutes
+// Working from 10:00 AM to 1:00 AM, every day
+const DEFAULT_WORKING_WINDOW = "10:00-01:00";
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]; // Indexed like moment().day()
+const WEEKDAY_GROUPS = {
+  all: WEEKDAY_KEYS,
+  weekdays: ["mon", "tue", "wed", "thu", "fri"],
+  weekends: ["sat", "sun"],
+};
 
 // Puppeteer Protocol Timeout (Increased for stability)
 const PUPPETEER_PROTOCOL_TIMEOUT_MS = 180000; // 3 minutes
 
+// Browser Pool: one browser is kept warm between checks and replaced when needed
+const DEFAULT_BROWSER_MAX_RUNS = 25; // Checks per browser before it is recycled
+const DEFAULT_BROWSER_MAX_MEMORY_MB = 500; // Recycle the browser between checks above this (0 = no limit)
+const BROWSER_HEALTH_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const BROWSER_HEALTH_CHECK_TIMEOUT_MS = 10 * 1000; // A browser that doesn't answer by then is restarted
+const BROWSER_CLOSE_TIMEOUT_MS = 10 * 1000; // After that the browser process is killed
+const BROWSER_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36"; // A common user agent, also sent by HTTP checks
+
+// Check modes: "browser" loads the pages in Puppeteer, "http" with plain HTTP requests
+// (falling back to the browser when an HTTP check fails)
+const CHECK_MODES = ["browser", "http"];
+const DEFAULT_HTTP_CHECK_CONCURRENCY = 3; // Targets checked at once in HTTP mode
+const HTTP_REQUEST_TIMEOUT_MS = 60 * 1000;
+const MAX_HTTP_REDIRECTS = 5;
+const MAX_CAPTCHA_ATTEMPTS = 5; // Limit attempts to avoid infinite loops
+
 // Retry Configuration for runCheck
 const MAX_CHECK_RETRIES = 3; // Number of times to retry a failed check
 const CHECK_RETRY_DELAY_MS = 10000; // 10 seconds delay between retries
 
-// Anti-Captcha Constants
+// Captcha Solver Constants
+// Anti-Captcha, 2Captcha and CapMonster Cloud all speak the same createTask/getTaskResult API
 const ANTICAPTCHA_API_BASE_URL = "https://api.anti-captcha.com";
+const TWOCAPTCHA_API_BASE_URL = "https://api.2captcha.com";
+const CAPMONSTER_API_BASE_URL = "https://api.capmonster.cloud";
 const ANTICAPTCHA_TASK_TYPE = "ImageToTextTask"; // Type for image captchas
 const ANTICAPTCHA_POLLING_INTERVAL_MS = 5000; // Poll every 5 seconds
+const DEFAULT_CAPTCHA_SOLVERS = "ocr,anticaptcha,2captcha,capmonster,manual"; // Fallback order; unconfigured solvers are skipped
+const CAPTCHA_TEXT_LENGTH = 6; // The website's captchas are always six characters
+const CAPTCHA_CHARACTERS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+const DEFAULT_MANUAL_CAPTCHA_TIMEOUT_SECONDS = 300; // How long the solver pool gets to answer a captcha
+const DEFAULT_OCR_MIN_CONFIDENCE = 70; // Tesseract confidence (0-100) below which the OCR answer is not used
+const OCR_SCALE_FACTOR = 3; // Upscale the small captcha image before OCR
+const OCR_BINARIZE_THRESHOLD = 160; // Grey level (0-255) separating text from background
 
 // Pushbullet Constants
 const PUSHBULLET_API_BASE_URL = "https://api.pushbullet.com/v2";
 
+// Notifier Constants
+const NOTIFIER_TIMEOUT_MS = 10 * 1000; // Per HTTP notification
+const NTFY_BASE_URL = "https://ntfy.sh";
+const DEFAULT_NTFY_PRIORITY = 5; // "urgent": ntfy's loudest
+const DEFAULT_GOTIFY_PRIORITY = 8; // High enough to alert on Android
+// Priorities each service accepts
+const NOTIFIER_PRIORITY_RANGES = {
+  ntfy: { env: "NTFY_PRIORITY", min: 1, max: 5 },
+  gotify: { env: "GOTIFY_PRIORITY", min: 0, max: 10 },
+};
+const DISCORD_MAX_MESSAGE_LENGTH = 2000;
+
+// Data Store Constants
+const DEFAULT_DATA_DIR = "./data"; // Mount this directory as a volume to keep data across restarts
+const AVAILABILITY_FILE = "availability.json"; // Latest structured availability per target
+const ALERTED_SLOTS_FILE = "alerted-slots.json"; // Slots already alerted on per target
+const MAX_SLOTS_IN_CHANGE_MESSAGE = 10; // Slots listed in "slots changed" messages
+const HISTORY_FILE = "history.jsonl"; // One JSON line per check attempt, appended
+const LEGACY_HISTORY_FILE = "history.json"; // Written by older versions, converted on boot
+const MAX_HISTORY_RECORDS = 5000; // Oldest records are dropped beyond this
+const HISTORY_COMPACT_RECORDS = 2 * MAX_HISTORY_RECORDS; // The file is trimmed once it holds this many
+const DEFAULT_HISTORY_COUNT = 10; // Records shown by /history without an argument
+const MAX_HISTORY_COUNT = 50;
+const SETTINGS_FILE = "settings.json"; // Settings changed by Telegram commands
+const SOLVER_STATS_FILE = "solver-stats.json"; // Accuracy, latency and cost per captcha solver
+const CAPTCHA_ARCHIVE_DIR = "captchas"; // Archived captcha images, inside DATA_DIR
+const CAPTCHA_LABELS_FILE = "labels.jsonl"; // One JSON line per archived captcha, inside CAPTCHA_ARCHIVE_DIR
+const CAPTCHA_EXPORT_PART_MAX_BYTES = 45 * 1024 * 1024; // Per export file: Telegram bots can upload at most 50 MB
+const LEADERBOARD_FILE = "leaderboard.json"; // Manual captcha solutions per person
+const ROLES_FILE = "roles.json"; // Roles granted to Telegram users by admins
+const APPLICANT_FILE = "applicant.json"; // Applicant profile used by auto-booking
+const NOTIFIERS_FILE = "notifiers.json"; // Notifier settings that add to or override the env
+const SNAPSHOT_DIR = "snapshots"; // Page screenshots and HTML of alerts and failures, inside DATA_DIR
+const MAX_SNAPSHOTS = 100; // Oldest snapshots are deleted beyond this
+const SNAPSHOT_TIMEOUT_MS = 15 * 1000; // A hung page must not block the alert or the retry
+const BROWSER_PROFILE_DIR = "browser-profile"; // Chromium profile (cookies, site data), inside DATA_DIR
+
+// Access Control Constants
+// What each role may do: "admin" runs every command, "viewer" gets alerts and status,
+// "solver" answers captchas. CHAT_ID is always an admin.
+const ROLE_PERMISSIONS = {
+  admin: ["admin", "viewer", "solver"],
+  viewer: ["viewer"],
+  solver: ["solver"],
+};
+
 // --- Environment Variable Validation ---
 const {
   BOT_TOKEN,
   CHAT_ID,
+  TELEGRAM_API_URL, // Overrides the Telegram Bot API server, e.g. with a local stub
   ANTI_CAPTCHA_API_KEY,
+  TWOCAPTCHA_API_KEY,
+  CAPMONSTER_API_KEY,
+  // Optional API base URL overrides, e.g. to point a solver at a local mock server
+  ANTICAPTCHA_API_URL = ANTICAPTCHA_API_BASE_URL,
+  TWOCAPTCHA_API_URL = TWOCAPTCHA_API_BASE_URL,
+  CAPMONSTER_API_URL = CAPMONSTER_API_BASE_URL,
+  CAPTCHA_SOLVERS = DEFAULT_CAPTCHA_SOLVERS, // Ordered solver fallback chain
+  CAPTCHA_SOLVER_CHAT_IDS = "", // Extra users or group chats that receive manual captchas
+  MANUAL_CAPTCHA_TIMEOUT_SECONDS = String(
+    DEFAULT_MANUAL_CAPTCHA_TIMEOUT_SECONDS
+  ),
+  OCR_MIN_CONFIDENCE = String(DEFAULT_OCR_MIN_CONFIDENCE),
+  BROWSER_MAX_RUNS = String(DEFAULT_BROWSER_MAX_RUNS),
+  BROWSER_MAX_MEMORY_MB = String(DEFAULT_BROWSER_MAX_MEMORY_MB),
+  HTTP_CHECK_CONCURRENCY = String(DEFAULT_HTTP_CHECK_CONCURRENCY),
   EMAIL_SENDER,
   EMAIL_PASSWORD, // Use an App Password if using Gmail
   EMAIL_RECIPIENT,
   PUSHBULLET_API_KEY,
+  ALERT_CONTACT_CHAT_IDS = "", // Second contacts for the "contact" escalation step
+  ALERT_ACK_PORT, // Port of the HTTP server behind the acknowledgement links (off when unset)
+  ALERT_ACK_URL, // Public base URL of that server, e.g. https://bot.example.com
+  // Notifiers (NOTIFIERS_FILE can set these too)
+  SLACK_WEBHOOK_URL,
+  DISCORD_WEBHOOK_URL,
+  NTFY_URL = NTFY_BASE_URL,
+  NTFY_TOPIC,
+  NTFY_TOKEN,
+  NTFY_PRIORITY,
+  GOTIFY_URL,
+  GOTIFY_TOKEN,
+  GOTIFY_PRIORITY,
+  MATRIX_HOMESERVER_URL,
+  MATRIX_ACCESS_TOKEN,
+  MATRIX_ROOM_ID,
+  WEBHOOK_URL,
+  WEBHOOK_TEMPLATE, // JSON payload with {{title}}, {{message}}, {{count}}, {{ackUrl}} and {{sentAt}} placeholders
   TIMEZONE, // New TIMEZONE environment variable
+  DATA_DIR = DEFAULT_DATA_DIR, // Directory for files the bot writes (availability, ...)
+  // Runtime settings (WORKING_HOURS, TELEGRAM_LOGGING, MONTHS_AHEAD, WATCH_TARGETS, ...)
+  // are read through SETTINGS below
 } = process.env;
 
 if (!BOT_TOKEN || !CHAT_ID) {
@@ -67,15 +265,32 @@ if (!BOT_TOKEN || !CHAT_ID) {
   process.exit(1); // Exit if essential variables are missing
 }
 
-// Check for anti-captcha key and notification variables, but allow running without them
-const enableAntiCaptcha = !!ANTI_CAPTCHA_API_KEY;
+// Users or group chats from the environment that answer captchas (the "solver" role)
+const captchaSolverPoolChatIds = CAPTCHA_SOLVER_CHAT_IDS.split(",")
+  .map((chatId) => chatId.trim())
+  .filter((chatId) => chatId && chatId !== CHAT_ID);
+
+// Telegram chats that get the alert once nobody has acknowledged it in time
+const alertContactChatIds = ALERT_CONTACT_CHAT_IDS.split(",")
+  .map((chatId) => chatId.trim())
+  .filter((chatId) => chatId && chatId !== CHAT_ID);
+const alertAckBaseUrl = ALERT_ACK_PORT
+  ? (ALERT_ACK_URL || `http://localhost:${ALERT_ACK_PORT}`).replace(/\/+$/, "")
+  : null;
+
+// Check for captcha solver keys and notification variables, but allow running without them
+const enableAutomatedCaptcha = !!(
+  ANTI_CAPTCHA_API_KEY ||
+  TWOCAPTCHA_API_KEY ||
+  CAPMONSTER_API_KEY
+);
 const enableEmail = EMAIL_SENDER && EMAIL_PASSWORD && EMAIL_RECIPIENT;
 const enablePushbullet = PUSHBULLET_API_KEY;
 const enableTimezoneRestriction = !!TIMEZONE;
 
-if (!enableAntiCaptcha) {
+if (!enableAutomatedCaptcha) {
   console.warn(
-    "Warning: Running without ANTI_CAPTCHA_API_KEY. Manual captcha input will be required."
+    "Warning: Running without ANTI_CAPTCHA_API_KEY, TWOCAPTCHA_API_KEY or CAPMONSTER_API_KEY. Captchas the local OCR cannot read will need manual input."
   );
 }
 if (!enableEmail) {
@@ -103,7 +318,10 @@ if (!enableTimezoneRestriction) {
 }
 
 // --- Bot Initialization ---
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
+const bot = new TelegramBot(BOT_TOKEN, {
+  polling: true,
+  ...(TELEGRAM_API_URL && { baseApiUrl: TELEGRAM_API_URL }),
+});
 
 // --- Nodemailer Transporter (for email) ---
 let transporter = null;
@@ -117,6 +335,228 @@ if (enableEmail) {
   });
 }
 
+// --- Notifiers ---
+// A notifier is an object { label, isConfigured(), send(notification) } that delivers
+// alerts somewhere. Alert policy steps name them by their key in NOTIFIER_REGISTRY.
+// notification is { title, message, count, ackUrl }: count is the 1-based number of
+// this alert on the notifier, ackUrl the acknowledgement link (null without ALERT_ACK_PORT).
+// send throws if delivery fails.
+
+let webhookTemplate = null;
+try {
+  webhookTemplate = WEBHOOK_TEMPLATE ? JSON.parse(WEBHOOK_TEMPLATE) : null;
+} catch (error) {
+  console.error(`Error: Invalid WEBHOOK_TEMPLATE: ${error.message}.`);
+  process.exit(1); // Exit if the template is not valid JSON
+}
+
+// Notifier settings per notifier, from the env; NOTIFIERS_FILE is merged in on boot
+const notifierConfig = {
+  slack: { webhookUrl: SLACK_WEBHOOK_URL },
+  discord: { webhookUrl: DISCORD_WEBHOOK_URL },
+  ntfy: {
+    url: NTFY_URL,
+    topic: NTFY_TOPIC,
+    token: NTFY_TOKEN,
+    priority: NTFY_PRIORITY || DEFAULT_NTFY_PRIORITY, // Validated below
+  },
+  gotify: {
+    url: GOTIFY_URL,
+    token: GOTIFY_TOKEN,
+    priority: GOTIFY_PRIORITY || DEFAULT_GOTIFY_PRIORITY, // Validated below
+  },
+  matrix: {
+    homeserverUrl: MATRIX_HOMESERVER_URL,
+    accessToken: MATRIX_ACCESS_TOKEN,
+    roomId: MATRIX_ROOM_ID,
+  },
+  webhook: {
+    url: WEBHOOK_URL,
+    template: webhookTemplate,
+    headers: {},
+  },
+};
+
+for (const [name, range] of Object.entries(NOTIFIER_PRIORITY_RANGES)) {
+  try {
+    notifierConfig[name].priority = normalizeNotifierPriority(
+      notifierConfig[name].priority,
+      range
+    );
+  } catch (error) {
+    console.error(`Error: Invalid ${range.env}: ${error.message}.`);
+    process.exit(1); // Exit if a priority is invalid
+  }
+}
+
+// Inline button sent with Telegram alerts; callback data is "alert:ack"
+const ALERT_ACK_KEYBOARD = {
+  inline_keyboard: [[{ text: "✅ Acknowledge", callback_data: "alert:ack" }]],
+};
+
+const NOTIFIER_REGISTRY = {
+  telegram: {
+    label: "Telegram",
+    isConfigured: () => true,
+    send: ({ message }) =>
+      safeSendMessage(message, CHAT_ID, { reply_markup: ALERT_ACK_KEYBOARD }),
+  },
+  push: {
+    label: "Pushbullet",
+    isConfigured: () => !!enablePushbullet,
+    send: ({ title, message, ackUrl }) =>
+      sendPushNotification(
+        title,
+        `Check Telegram for details: ${message}${
+          ackUrl ? `\n\nAcknowledge: ${ackUrl}` : ""
+        }`
+      ),
+  },
+  email: {
+    label: "Email",
+    isConfigured: () => !!enableEmail,
+    send: ({ title, message, count, ackUrl }) =>
+      sendEmailNotification(
+        `${title} (Alert ${count})`,
+        `${message}${
+          ackUrl ? `\n\nOpen this link to stop the alerts: ${ackUrl}` : ""
+        }`
+      ),
+  },
+  contact: {
+    label: "Second contact",
+    isConfigured: () => alertContactChatIds.length > 0,
+    send: async ({ message, ackUrl }) => {
+      const text = `🚨 Nobody has acknowledged this alert yet. Reply OK or tap the button once someone takes care of it.${
+        ackUrl ? `\nOr open: ${ackUrl}` : ""
+      }\n\n${message}`;
+      for (const chatId of alertContactChatIds) {
+        await safeSendMessage(text, chatId, {
+          reply_markup: ALERT_ACK_KEYBOARD,
+        });
+      }
+    },
+  },
+  slack: {
+    label: "Slack",
+    isConfigured: () => !!notifierConfig.slack.webhookUrl,
+    send: ({ title, message, ackUrl }) =>
+      sendHttpNotification("Slack", notifierConfig.slack.webhookUrl, {
+        text: `*${title}*\n${message}${
+          ackUrl ? `\n<${ackUrl}|✅ Acknowledge>` : ""
+        }`,
+      }),
+  },
+  discord: {
+    label: "Discord",
+    isConfigured: () => !!notifierConfig.discord.webhookUrl,
+    send: ({ title, message, ackUrl }) =>
+      sendHttpNotification("Discord", notifierConfig.discord.webhookUrl, {
+        content: `**${title}**\n${message}${
+          ackUrl ? `\nAcknowledge: ${ackUrl}` : ""
+        }`.substring(0, DISCORD_MAX_MESSAGE_LENGTH),
+      }),
+  },
+  ntfy: {
+    label: "ntfy",
+    isConfigured: () => !!notifierConfig.ntfy.topic,
+    send: ({ title, message, ackUrl }) => {
+      const { url, topic, token, priority } = notifierConfig.ntfy;
+      // JSON publishing goes to the server root and names the topic in the body
+      return sendHttpNotification(
+        "ntfy",
+        url,
+        {
+          topic,
+          title,
+          message,
+          priority,
+          tags: ["rotating_light"],
+          // An "http" action acknowledges straight from the notification
+          actions: ackUrl
+            ? [
+                {
+                  action: "http",
+                  label: "Acknowledge",
+                  url: ackUrl,
+                  method: "GET",
+                  clear: true,
+                },
+              ]
+            : [],
+        },
+        token ? { Authorization: `Bearer ${token}` } : {}
+      );
+    },
+  },
+  gotify: {
+    label: "Gotify",
+    isConfigured: () =>
+      !!(notifierConfig.gotify.url && notifierConfig.gotify.token),
+    send: ({ title, message, ackUrl }) => {
+      const { url, token, priority } = notifierConfig.gotify;
+      return sendHttpNotification(
+        "Gotify",
+        `${url.replace(/\/+$/, "")}/message`,
+        {
+          title,
+          message,
+          priority,
+          ...(ackUrl && {
+            extras: { "client::notification": { click: { url: ackUrl } } },
+          }),
+        },
+        { "X-Gotify-Key": token }
+      );
+    },
+  },
+  matrix: {
+    label: "Matrix",
+    isConfigured: () =>
+      !!(
+        notifierConfig.matrix.homeserverUrl &&
+        notifierConfig.matrix.accessToken &&
+        notifierConfig.matrix.roomId
+      ),
+    send: ({ title, message, ackUrl }) => {
+      const { homeserverUrl, accessToken, roomId } = notifierConfig.matrix;
+      // Each event needs a transaction ID that is unique for the access token
+      const transactionId = `${Date.now()}-${randomBytes(4).toString("hex")}`;
+      return sendHttpNotification(
+        "Matrix",
+        `${homeserverUrl.replace(
+          /\/+$/,
+          ""
+        )}/_matrix/client/v3/rooms/${encodeURIComponent(
+          roomId
+        )}/send/m.room.message/${transactionId}`,
+        {
+          msgtype: "m.text",
+          body: `${title}\n${message}${
+            ackUrl ? `\nAcknowledge: ${ackUrl}` : ""
+          }`,
+        },
+        { Authorization: `Bearer ${accessToken}` },
+        "put"
+      );
+    },
+  },
+  webhook: {
+    label: "Webhook",
+    isConfigured: () => !!notifierConfig.webhook.url,
+    send: (notification) => {
+      const { url, template, headers } = notifierConfig.webhook;
+      const values = { ...notification, sentAt: new Date().toISOString() };
+      return sendHttpNotification(
+        "Webhook",
+        url,
+        template ? renderWebhookTemplate(template, values) : values,
+        headers
+      );
+    },
+  },
+};
+
 // --- Console to Telegram Logging ---
 // Store original console methods
 const originalConsoleLog = console.log;
@@ -133,7 +573,7 @@ console.log = (...args) => {
   if (
     state.isLoggingEnabled &&
     !state.isWaitingForCaptcha &&
-    !state.spamInterval
+    !state.activeAlert
   ) {
     const telegramMessage = `[LOG] ${message}`.substring(0, 4000); // Limit message length
     safeSendMessage(telegramMessage);
@@ -163,1021 +603,6493 @@ let state = {
   isRunning: false, // Is a check currently running?
   isWaitingForCaptcha: false, // Is the bot waiting for user's captcha input? (for manual mode)
   captchaMessageListener: null, // Reference to the active message listener for captcha (for manual mode)
-  spamInterval: null, // Interval ID for "appointment available" notifications
-  browser: null, // Puppeteer browser instance
-  page: null, // Puppeteer page instance
+  captchaActionHandler: null, // Handles "refresh", "skip" and "abort" while waiting for manual captcha input
+  captchaPrompts: [], // Telegram messages ({chatId, messageId}) carrying the captcha buttons that are still active
+  leaderboard: {}, // Manual captcha solutions per Telegram user ID (mirrors LEADERBOARD_FILE)
+  roles: {}, // Role per Telegram user ID, granted with /grant (mirrors ROLES_FILE)
+  // The running "appointment available" alert: {message, token, timers, counts, messageListener, resolve}
+  activeAlert: null,
+  browser: null, // Puppeteer browser kept warm between checks (see acquireBrowser)
+  browserLaunching: null, // Promise of the browser launch in progress
+  browserLaunchedAt: null, // Timestamp (ms) the browser was launched
+  browserRuns: 0, // Checks run in the current browser
+  page: null, // Puppeteer page of the running check
   currentAbortController: null, // AbortController for the current check
-  // Promise resolver for notifyAvailable, allows runCheck to wait
-  notifyAvailableResolver: null,
   // Dynamic working time
-  workingStartHour: DEFAULT_WORKING_START_HOUR,
-  workingStartMinute: DEFAULT_WORKING_START_MINUTE,
-  workingEndHour: DEFAULT_WORKING_END_HOUR,
-  workingEndMinute: DEFAULT_WORKING_END_MINUTE,
+  // Working windows ("HH:MM-HH:MM") per weekday key; a window may span midnight
+  workingSchedule: Object.fromEntries(
+    WEEKDAY_KEYS.map((day) => [day, [DEFAULT_WORKING_WINDOW]])
+  ),
+  blackoutDates: [], // Dates (YYYY-MM-DD) without scheduled checks, e.g. public holidays
   isLoggingEnabled: false,
+  monthsAhead: DEFAULT_MONTHS_AHEAD, // Number of months scanned per check
+  // Watch targets checked in turn on every run
+  targets: DEFAULT_WATCH_TARGETS,
+  siteProfileName: DEFAULT_SITE_PROFILE, // Name or path of the active site profile
+  siteProfile: null, // The loaded site profile, set from DEFAULT_SITE_PROFILE below
+  siteProfileWatcher: null, // fs.watch watcher reloading the site profile when its file changes
+  // Latest structured availability per target label (mirrors AVAILABILITY_FILE)
+  availability: {},
+  alertedSlots: {}, // Slot keys last alerted on per target label (mirrors ALERTED_SLOTS_FILE)
+  history: [], // Check history records, oldest first (the last ones in HISTORY_FILE)
+  settingSources: {}, // Where each setting's value came from: "env" or "command" (missing = default)
+  solverStats: {}, // Counters per captcha solver name (mirrors SOLVER_STATS_FILE)
+  // Check schedule
+  checkIntervalMinutes: DEFAULT_CHECK_INTERVAL_MINUTES,
+  checkJitterMinutes: DEFAULT_CHECK_JITTER_MINUTES,
+  isAdaptiveScheduleEnabled: false,
+  isCaptchaArchiveEnabled: false, // Save every submitted captcha with its verdict
+  isAutoBookEnabled: false, // Book the first free slot with the applicant profile
+  checkMode: "browser", // How pages are loaded, one of CHECK_MODES
+  alertPolicy: [], // Escalation steps of an alert, set from DEFAULT_ALERT_POLICY below
+  applicant: {}, // Applicant profile for auto-booking (mirrors APPLICANT_FILE)
+  nextCheckAt: null, // Timestamp (ms) when the scheduler starts the next check
+  // Live run state for /status
+  runStartedAt: null, // Timestamp (ms) the current run started
+  // What each target being checked is doing, by label: the phase, e.g. "starting browser",
+  // and when it started (ms). Several at once in HTTP mode.
+  activeChecks: {},
+  consecutiveFailedRuns: 0, // Runs in a row where a target exhausted its retries
+};
+
+// --- Runtime Settings ---
+// Settings that can be changed from Telegram. A value set by a command is saved to
+// SETTINGS_FILE and, on boot, takes precedence over the environment variable, which
+// in turn takes precedence over the default. Values are kept in their JSON form.
+const SETTINGS = {
+  workingSchedule: {
+    env: "WORKING_HOURS",
+    description:
+      "Working windows per weekday, e.g. weekdays=07:00-09:00,14:00-23:00;weekends=off",
+    parseEnv: (text) => applyWorkingHoursSpec(state.workingSchedule, text),
+    get: () => state.workingSchedule,
+    set: (value) => {
+      state.workingSchedule = normalizeWorkingSchedule(value);
+    },
+    format: () => describeWorkingSchedule(),
+  },
+  blackoutDates: {
+    env: "BLACKOUT_DATES",
+    description: "Dates without scheduled checks (comma-separated YYYY-MM-DD)",
+    parseEnv: (text) => text.split(","),
+    get: () => state.blackoutDates,
+    set: (value) => {
+      if (!Array.isArray(value)) throw new Error("expected a list of dates");
+      state.blackoutDates = normalizeBlackoutDates(value);
+    },
+    format: (value) => (value.length ? value.join(", ") : "none"),
+  },
+  isLoggingEnabled: {
+    env: "TELEGRAM_LOGGING",
+    description: "Send general logs to Telegram (true/false)",
+    parseEnv: (text) => text.trim().toLowerCase() === "true",
+    get: () => state.isLoggingEnabled,
+    set: (value) => {
+      if (typeof value !== "boolean") throw new Error("expected true or false");
+      state.isLoggingEnabled = value;
+    },
+  },
+  monthsAhead: {
+    env: "MONTHS_AHEAD",
+    description: "Months scanned per check",
+    parseEnv: (text) => Number(text),
+    get: () => state.monthsAhead,
+    set: (value) => {
+      if (!Number.isInteger(value) || value < 1 || value > MAX_MONTHS_AHEAD) {
+        throw new Error(`expected a number from 1 to ${MAX_MONTHS_AHEAD}`);
+      }
+      state.monthsAhead = value;
+    },
+  },
+  checkIntervalMinutes: {
+    env: "CHECK_INTERVAL_MINUTES",
+    description: "Minutes between scheduled checks",
+    parseEnv: (text) => Number(text),
+    get: () => state.checkIntervalMinutes,
+    set: (value) => {
+      if (
+        !Number.isInteger(value) ||
+        value < MIN_CHECK_INTERVAL_MINUTES ||
+        value > MAX_CHECK_INTERVAL_MINUTES
+      ) {
+        throw new Error(
+          `expected a number from ${MIN_CHECK_INTERVAL_MINUTES} to ${MAX_CHECK_INTERVAL_MINUTES}`
+        );
+      }
+      state.checkIntervalMinutes = value;
+    },
+  },
+  checkJitterMinutes: {
+    env: "CHECK_JITTER_MINUTES",
+    description: "Random +/- minutes around each scheduled check",
+    parseEnv: (text) => Number(text),
+    get: () => state.checkJitterMinutes,
+    set: (value) => {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error("expected a whole number of minutes (0 or more)");
+      }
+      state.checkJitterMinutes = value; // Kept within the interval by clampCheckJitter
+    },
+  },
+  isAdaptiveScheduleEnabled: {
+    env: "ADAPTIVE_SCHEDULE",
+    description: "Check more often in hot hours, back off after failures",
+    parseEnv: (text) => text.trim().toLowerCase() === "true",
+    get: () => state.isAdaptiveScheduleEnabled,
+    set: (value) => {
+      if (typeof value !== "boolean") throw new Error("expected true or false");
+      state.isAdaptiveScheduleEnabled = value;
+    },
+  },
+  isAutoBookEnabled: {
+    env: "AUTO_BOOK",
+    description:
+      "Book the first free slot with the applicant profile (true/false)",
+    parseEnv: (text) => text.trim().toLowerCase() === "true",
+    get: () => state.isAutoBookEnabled,
+    set: (value) => {
+      if (typeof value !== "boolean") throw new Error("expected true or false");
+      state.isAutoBookEnabled = value;
+    },
+  },
+  alertPolicy: {
+    env: "ALERT_POLICY",
+    description:
+      "Alert escalation, e.g. telegram@0s/5s,push@30s,email@2m/5m,contact@5m,stop@15m",
+    parseEnv: (text) => parseAlertPolicy(text),
+    get: () => state.alertPolicy,
+    set: (value) => {
+      state.alertPolicy = normalizeAlertPolicy(value);
+    },
+    format: (value) => formatAlertPolicy(value),
+  },
+  isCaptchaArchiveEnabled: {
+    env: "CAPTCHA_ARCHIVE",
+    description: "Archive submitted captchas with their verdict (true/false)",
+    parseEnv: (text) => text.trim().toLowerCase() === "true",
+    get: () => state.isCaptchaArchiveEnabled,
+    set: (value) => {
+      if (typeof value !== "boolean") throw new Error("expected true or false");
+      state.isCaptchaArchiveEnabled = value;
+    },
+  },
+  targets: {
+    env: "WATCH_TARGETS",
+    description: "Watch targets (JSON array)",
+    parseEnv: (text) => JSON.parse(text),
+    get: () => state.targets,
+    set: (value) => {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error("expected a non-empty JSON array");
+      }
+      state.targets = value.map(normalizeTarget);
+    },
+    format: (value) => value.map((target) => target.label).join(", "),
+  },
+  checkMode: {
+    env: "CHECK_MODE",
+    description:
+      "How pages are loaded: browser (Puppeteer) or http (plain requests, browser as fallback)",
+    parseEnv: (text) => text.trim().toLowerCase(),
+    get: () => state.checkMode,
+    set: (value) => {
+      if (!CHECK_MODES.includes(value)) {
+        throw new Error(`expected ${CHECK_MODES.join(" or ")}`);
+      }
+      state.checkMode = value;
+    },
+  },
+  siteProfile: {
+    env: "SITE_PROFILE",
+    description:
+      "Site profile: a name from site-profiles/ (e.g. en, de) or the path of a JSON file",
+    get: () => state.siteProfileName,
+    set: (value) => {
+      if (typeof value !== "string" || !value.trim()) {
+        throw new Error("expected a profile name or file path");
+      }
+      state.siteProfile = loadSiteProfile(value.trim());
+      state.siteProfileName = value.trim();
+      if (state.siteProfileWatcher) watchSiteProfile(); // Follow the new file
+    },
+    format: (value) => `${value} (${state.siteProfile.name})`,
+  },
 };
 
+state.alertPolicy = parseAlertPolicy(DEFAULT_ALERT_POLICY);
+state.siteProfile = loadSiteProfile(DEFAULT_SITE_PROFILE);
+
+// Default values, captured before the environment is applied (used by /resetsetting)
+const SETTING_DEFAULTS = Object.fromEntries(
+  Object.entries(SETTINGS).map(([key, setting]) => [
+    key,
+    structuredClone(setting.get()),
+  ])
+);
+
+// Apply runtime settings from the environment, exiting on invalid values
+for (const [key, setting] of Object.entries(SETTINGS)) {
+  const envValue = process.env[setting.env];
+  if (!envValue) continue;
+  try {
+    setting.set(setting.parseEnv ? setting.parseEnv(envValue) : envValue);
+    state.settingSources[key] = "env";
+  } catch (error) {
+    console.error(`Error: Invalid ${setting.env}: ${error.message}.`);
+    process.exit(1); // Exit if a setting is invalid
+  }
+}
+clampCheckJitter();
+
+// WORKING_START/WORKING_END from older versions, used unless WORKING_HOURS is set
+if (
+  !process.env.WORKING_HOURS &&
+  (process.env.WORKING_START || process.env.WORKING_END)
+) {
+  try {
+    SETTINGS.workingSchedule.set(
+      buildLegacyWorkingSchedule(
+        process.env.WORKING_START,
+        process.env.WORKING_END
+      )
+    );
+    state.settingSources.workingSchedule = "env";
+    console.warn(
+      "WORKING_START and WORKING_END are deprecated, use WORKING_HOURS instead."
+    );
+  } catch (error) {
+    console.error(
+      `Error: Invalid WORKING_START/WORKING_END: ${error.message}.`
+    );
+    process.exit(1); // Exit if a setting is invalid
+  }
+}
+
+// Parts of a check that must not overlap while HTTP checks run side by side. Nothing
+// waits for one of them while holding another, and no alert is awaited under them.
+const withBrowserLock = createLock(); // state.page: one browser check or booking at a time
+const withManualCaptchaLock = createLock(); // One manual captcha prompt at a time
+
 // --- Helper Functions ---
 
+/**
+ * Creates a lock that runs the functions passed to it one after the other.
+ * @returns {<T>(fn: () => Promise<T>) => Promise<T>} Runs fn once the previous ones have settled.
+ */
+function createLock() {
+  let tail = Promise.resolve();
+  return (fn) => {
+    const result = tail.then(fn);
+    tail = result.catch(() => {}); // A failure must not block the next caller
+    return result;
+  };
+}
+
 /**
  * Checks if the current time in the specified timezone is within the working period.
  * Uses the TIMEZONE environment variable if set, otherwise uses local time.
- * Uses dynamic working hours/minutes if set by commands, otherwise uses defaults.
+ * A time is within the working period if it falls into one of the windows of its
+ * weekday, or into a window of the previous day that spans midnight, and its date
+ * is not a blackout date.
+ * @param {moment.Moment} [now] - The time to check (defaults to now).
  * @returns {boolean} True if within working hours, false otherwise.
  */
-function isWithinWorkingHours() {
-  const now = enableTimezoneRestriction ? moment().tz(TIMEZONE) : moment(); // Use moment with timezone if enabled
-
-  const startMoment = enableTimezoneRestriction
-    ? moment.tz(
-        { hour: state.workingStartHour, minute: state.workingStartMinute },
-        TIMEZONE
-      )
-    : moment({
-        hour: state.workingStartHour,
-        minute: state.workingStartMinute,
-      });
-
-  const endMoment = enableTimezoneRestriction
-    ? moment.tz(
-        { hour: state.workingEndHour, minute: state.workingEndMinute },
-        TIMEZONE
-      )
-    : moment({ hour: state.workingEndHour, minute: state.workingEndMinute });
-
-  // Handle cases where the working period spans across midnight
-  if (startMoment.isAfter(endMoment)) {
-    // Working hours are from startMoment to endMoment (next day)
-    return now.isSameOrAfter(startMoment) || now.isBefore(endMoment);
-  } else {
-    // Working hours are from startMoment to endMoment (same day)
-    return now.isSameOrAfter(startMoment) && now.isBefore(endMoment);
-  }
+function isWithinWorkingHours(now = toLocalMoment(Date.now())) {
+  if (state.blackoutDates.includes(now.format("YYYY-MM-DD"))) return false;
+
+  const minuteOfDay = now.hour() * 60 + now.minute();
+  const today = WEEKDAY_KEYS[now.day()];
+  const yesterday = WEEKDAY_KEYS[(now.day() + 6) % 7];
+
+  const inToday = state.workingSchedule[today].some((text) => {
+    const { start, end } = parseWorkingWindow(text);
+    // Windows spanning midnight run from start until the end of the day here
+    return start < end
+      ? minuteOfDay >= start && minuteOfDay < end
+      : minuteOfDay >= start;
+  });
+  const inYesterdaySpillover = state.workingSchedule[yesterday].some((text) => {
+    const { start, end } = parseWorkingWindow(text);
+    return start >= end && minuteOfDay < end; // Tail of a window spanning midnight
+  });
+  return inToday || inYesterdaySpillover;
 }
 
 /**
- * Gets the current time string, including timezone information if enabled.
- * @returns {string} The formatted current time string.
+ * Parses a working window in HH:MM-HH:MM format.
+ * An end time before the start time means the window spans midnight; an end time
+ * equal to the start time means a full 24 hours, e.g. "00:00-00:00" for the whole day.
+ * @param {string} text - The window, e.g. "14:00-23:00" or "22:00-02:00".
+ * @returns {{start: number, end: number}} Start and end as minutes since midnight.
+ * @throws {Error} If the text is not a valid window.
  */
-function getCurrentTimeString() {
-  const now = enableTimezoneRestriction ? moment().tz(TIMEZONE) : moment();
-  return enableTimezoneRestriction
-    ? `${now.format("YYYY-MM-DD HH:mm:ss")} ${now.tz()}`
-    : now.format("YYYY-MM-DD HH:mm:ss [Local]");
+function parseWorkingWindow(text) {
+  const [startText, endText, ...rest] = String(text).split("-");
+  if (!endText || rest.length > 0) {
+    throw new Error(`invalid window "${text}", expected HH:MM-HH:MM`);
+  }
+  const start = parseTimeOfDay(startText);
+  const end = parseTimeOfDay(endText);
+  return {
+    start: start.hour * 60 + start.minute,
+    end: end.hour * 60 + end.minute,
+  };
 }
 
 /**
- * Sends a message safely, catching potential Telegram API errors.
- * @param {string} text - The message text.
+ * Parses a list of weekdays, e.g. "all", "weekdays", "weekends", "mon-fri" or "sat,sun".
+ * @param {string} text - The weekday list.
+ * @returns {string[]} The weekday keys (see WEEKDAY_KEYS).
+ * @throws {Error} If a day or group is unknown.
  */
-async function safeSendMessage(text) {
-  try {
-    // Ensure text is a string and not empty before sending
-    if (typeof text !== "string" || text.trim() === "") {
-      originalConsoleWarn(
-        "Attempted to send empty or non-string message to Telegram."
+function parseWeekdays(text) {
+  const days = new Set();
+  for (const part of text.toLowerCase().split(",")) {
+    const item = part.trim();
+    if (Object.hasOwn(WEEKDAY_GROUPS, item)) {
+      WEEKDAY_GROUPS[item].forEach((day) => days.add(day));
+      continue;
+    }
+    const [from, to] = item.split("-");
+    const fromIndex = WEEKDAY_KEYS.indexOf(from);
+    const toIndex = to === undefined ? fromIndex : WEEKDAY_KEYS.indexOf(to);
+    if (fromIndex < 0 || toIndex < 0) {
+      throw new Error(
+        `unknown day "${item}", use mon..sun, a range like mon-fri, or all/weekdays/weekends`
       );
-      return;
     }
-    await bot.sendMessage(CHAT_ID, text);
-  } catch (error) {
-    // Log the error to the original console to avoid infinite loops
-    originalConsoleError(
-      `Failed to send message to Telegram: ${error.message}`
-    );
+    // Walk forward through the week, so "fri-mon" works too
+    for (let index = fromIndex; ; index = (index + 1) % 7) {
+      days.add(WEEKDAY_KEYS[index]);
+      if (index === toIndex) break;
+    }
   }
+  return [...days];
 }
 
 /**
- * Sends a photo safely, catching potential Telegram API errors.
- * @param {Buffer} photoBuffer - The photo buffer.
- * @param {TelegramBot.SendPhotoOptions} options - Send photo options.
+ * Parses a comma-separated list of working windows, or "off" for none.
+ * @param {string} text - E.g. "07:00-09:00,14:00-23:00" or "off".
+ * @returns {string[]} The windows in canonical HH:MM-HH:MM form.
+ * @throws {Error} If a window is invalid.
  */
-async function safeSendPhoto(photoBuffer, options) {
-  try {
-    await bot.sendPhoto(CHAT_ID, photoBuffer, options);
-  } catch (error) {
-    // Log the error to the original console to avoid infinite loops
-    originalConsoleError(`Failed to send photo to Telegram: ${error.message}`);
-  }
+function parseWorkingWindows(text) {
+  if (text.trim().toLowerCase() === "off") return [];
+  return text.split(",").map((windowText) => {
+    const { start, end } = parseWorkingWindow(windowText.trim());
+    return `${formatTimeOfDay(
+      Math.floor(start / 60),
+      start % 60
+    )}-${formatTimeOfDay(Math.floor(end / 60), end % 60)}`;
+  });
 }
 
 /**
- * Sends an email notification.
- * @param {string} subject - The email subject.
- * @param {string} text - The email body.
+ * Applies a working hours spec to a schedule and returns the new schedule.
+ * The spec is a ";"-separated list of "<days>=<windows>" entries; days not
+ * mentioned keep their current windows.
+ * @param {Object<string, string[]>} schedule - The schedule to start from.
+ * @param {string} spec - E.g. "weekdays=07:00-09:00,14:00-23:00;weekends=10:00-18:00".
+ * @returns {Object<string, string[]>} The new schedule.
+ * @throws {Error} If the spec is invalid.
  */
-async function sendEmailNotification(subject, text) {
-  if (!enableEmail || !transporter) {
-    console.log(
-      "Email notifications are not enabled or transporter not initialized."
-    );
-    return;
-  }
-  console.log(`📧 Sending email: "${subject}"`);
-  try {
-    await transporter.sendMail({
-      from: EMAIL_SENDER,
-      to: EMAIL_RECIPIENT,
-      subject: subject,
-      text: text,
-    });
-    console.log("Email sent successfully.");
-  } catch (error) {
-    console.error(`❌ Failed to send email: ${error.message}`);
+function applyWorkingHoursSpec(schedule, spec) {
+  const result = { ...schedule };
+  for (const entry of spec.split(";").filter((item) => item.trim())) {
+    const [daysText, windowsText, ...rest] = entry.split("=");
+    if (windowsText === undefined || rest.length > 0) {
+      throw new Error(`invalid entry "${entry}", expected <days>=<windows>`);
+    }
+    const windows = parseWorkingWindows(windowsText);
+    for (const day of parseWeekdays(daysText)) result[day] = windows;
   }
+  return result;
 }
 
 /**
- * Sends a Pushbullet notification.
- * @param {string} title - The notification title.
- * @param {string} body - The notification body.
+ * Validates a working schedule loaded from a file or built by a command.
+ * @param {Object<string, string[]>} value - Windows per weekday key.
+ * @returns {Object<string, string[]>} The schedule with canonical windows for all 7 days.
+ * @throws {Error} If a day is missing or a window is invalid.
  */
-async function sendPushNotification(title, body) {
-  if (!enablePushbullet) {
-    console.log("Pushbullet notifications are not enabled.");
-    return;
+function normalizeWorkingSchedule(value) {
+  if (!value || typeof value !== "object") {
+    throw new Error("expected windows per weekday");
   }
-  console.log(`📱 Sending Pushbullet notification: "${title}"`);
-  try {
-    await axios.post(
-      `${PUSHBULLET_API_BASE_URL}/pushes`,
-      {
-        type: "note",
-        title: title,
-        body: body,
-      },
-      {
-        headers: {
-          "Access-Token": PUSHBULLET_API_KEY,
-          "Content-Type": "application/json",
-        },
-        timeout: 10000, // Add a timeout for the API call
+  return Object.fromEntries(
+    WEEKDAY_KEYS.map((day) => {
+      if (!Array.isArray(value[day])) {
+        throw new Error(`missing windows for ${day}`);
       }
-    );
-    console.log("Pushbullet notification sent successfully.");
-  } catch (error) {
-    console.error(
-      `❌ Failed to send Pushbullet notification: ${error.message}`
-    );
-    if (error.response) {
-      console.error(
-        `Pushbullet API responded with status ${
-          error.response.status
-        }: ${JSON.stringify(error.response.data)}`
-      );
-    } else if (error.request) {
-      console.error("No response received from Pushbullet API.");
-    }
-  }
+      return [day, parseWorkingWindows(value[day].join(",") || "off")];
+    })
+  );
 }
 
 /**
- * Cleans up resources like browser, page, and intervals.
+ * Builds a schedule from the single start and end time used before working windows
+ * per weekday existed (WORKING_START/WORKING_END). A missing time keeps the default.
+ * @param {string} [startText] - The start time in HH:MM format.
+ * @param {string} [endText] - The end time in HH:MM format.
+ * @returns {Object<string, string[]>} The same window on every day.
+ * @throws {Error} If a time is invalid.
  */
-async function cleanupResources() {
-  console.log("🧹 Cleaning up resources...");
-  if (state.spamInterval) {
-    clearInterval(state.spamInterval);
-    state.spamInterval = null;
-  }
-  if (state.captchaMessageListener) {
-    bot.removeListener("message", state.captchaMessageListener);
-    state.captchaMessageListener = null;
-  }
-  if (state.browser) {
-    try {
-      await state.browser.close();
-    } catch (closeError) {
-      console.error(`Error closing browser: ${closeError.message}`);
+function buildLegacyWorkingSchedule(startText, endText) {
+  const [defaultStart, defaultEnd] = DEFAULT_WORKING_WINDOW.split("-");
+  const [window] = parseWorkingWindows(
+    `${startText || defaultStart}-${endText || defaultEnd}`
+  );
+  return Object.fromEntries(WEEKDAY_KEYS.map((day) => [day, [window]]));
+}
+
+/**
+ * Validates blackout dates and returns them sorted and without duplicates.
+ * @param {string[]} dates - Dates in YYYY-MM-DD format.
+ * @returns {string[]} The normalized dates.
+ * @throws {Error} If a date is invalid.
+ */
+function normalizeBlackoutDates(dates) {
+  const result = new Set();
+  for (const date of dates) {
+    const text = String(date).trim();
+    if (!text) continue;
+    if (!moment(text, "YYYY-MM-DD", true).isValid()) {
+      throw new Error(`invalid date "${text}", expected YYYY-MM-DD`);
     }
+    result.add(text);
   }
-  state.browser = null;
-  state.page = null;
-  state.isWaitingForCaptcha = false; // Reset manual captcha flag
-  state.isRunning = false; // Mark as not running AFTER cleanup
-  state.currentAbortController = null;
-  // Resolve the notifyAvailable promise if it exists
-  if (state.notifyAvailableResolver) {
-    state.notifyAvailableResolver();
-    state.notifyAvailableResolver = null;
-  }
-  console.log("🧼 Cleanup complete.");
+  return [...result].sort();
 }
 
 /**
- * Extracts captcha image, sends it via Telegram, and waits for user reply.
- * Handles potential timeouts and abort signals. (For manual mode)
- * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
- * @returns {Promise<string>} Resolves with the user's captcha text.
- * @throws {Error} If captcha extraction fails, Telegram interaction fails, or operation is aborted.
+ * Parses a duration of an alert policy step.
+ * @param {string} text - E.g. "0", "500ms", "30s", "2m" or "1h" (seconds without a unit).
+ * @returns {number} The duration in milliseconds.
+ * @throws {Error} If the duration is malformed.
  */
-async function getCaptchaFromUser(signal) {
-  if (!state.page) throw new Error("Page is not initialized.");
-  state.isWaitingForCaptcha = true;
+function parseAlertDuration(text) {
+  const match = /^(\d+)(ms|s|m|h)?$/.exec(text.trim());
+  if (!match) {
+    throw new Error(`invalid duration "${text}", use e.g. 30s, 2m or 1h`);
+  }
+  return parseInt(match[1], 10) * ALERT_POLICY_UNITS_MS[match[2] || "s"];
+}
 
-  try {
-    // Wait for captcha element
-    await state.page.waitForSelector(CAPTCHA_SELECTOR, {
-      timeout: CAPTCHA_TIMEOUT_MS,
-      signal, // Pass signal here
-    });
+/**
+ * Formats a duration of an alert policy step in the largest unit that divides it.
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} E.g. "0s", "30s", "2m" or "1h".
+ */
+function formatAlertDuration(ms) {
+  if (ms === 0) return "0s";
+  const [unit, size] = Object.entries(ALERT_POLICY_UNITS_MS)
+    .reverse()
+    .find(([, unitMs]) => ms % unitMs === 0);
+  return `${ms / size}${unit}`;
+}
 
-    // Extract base64 image data
-    const base64 = await state.page.$eval(CAPTCHA_SELECTOR, (el) => {
-      const bg = el.style.background;
-      const match = bg.match(/base64,([^"]+)/);
-      return match ? match[1] : null;
+/**
+ * Parses an alert policy: comma-separated steps "<channel>@<delay>[/<repeat>]", plus
+ * "stop@<delay>" to give up. E.g. "telegram@0s/5s,push@30s,email@2m/5m,contact@5m,stop@15m".
+ * @param {string} text - The policy.
+ * @returns {Array<{channel: string, afterMs: number, everyMs: number|null}>} The validated steps.
+ * @throws {Error} If a step is malformed or uses an unknown channel.
+ */
+function parseAlertPolicy(text) {
+  const steps = text
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const [channel, timing = ""] = item.split("@");
+      const [after, every] = timing.split("/");
+      if (!after) {
+        throw new Error(`invalid step "${item}", expected <channel>@<delay>`);
+      }
+      return {
+        channel: channel.toLowerCase(),
+        afterMs: parseAlertDuration(after),
+        everyMs: every === undefined ? null : parseAlertDuration(every),
+      };
     });
+  return normalizeAlertPolicy(steps);
+}
 
-    if (!base64) {
-      throw new Error("Could not extract base64 data from captcha element.");
+/**
+ * Validates alert policy steps and returns them sorted by delay.
+ * @param {Array<{channel: string, afterMs: number, everyMs: number|null}>} steps - The steps.
+ * @returns {Array<{channel: string, afterMs: number, everyMs: number|null}>} The normalized steps.
+ * @throws {Error} If a step is invalid, or repeating steps have no stop step.
+ */
+function normalizeAlertPolicy(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error("expected at least one step");
+  }
+  const result = steps.map((step) => {
+    const channel = String(step?.channel ?? "");
+    // hasOwn: names like "constructor" must not resolve through the prototype
+    if (channel !== "stop" && !Object.hasOwn(NOTIFIER_REGISTRY, channel)) {
+      throw new Error(
+        `unknown channel "${channel}", use ${Object.keys(
+          NOTIFIER_REGISTRY
+        ).join(", ")} or stop`
+      );
+    }
+    const afterMs = step.afterMs;
+    const everyMs = step.everyMs ?? null;
+    if (!Number.isInteger(afterMs) || afterMs < 0) {
+      throw new Error(`invalid delay for ${channel}`);
+    }
+    if (
+      everyMs !== null &&
+      (channel === "stop" ||
+        !Number.isInteger(everyMs) ||
+        everyMs < MIN_ALERT_REPEAT_MS)
+    ) {
+      throw new Error(
+        `invalid repeat for ${channel}, use at least ${formatAlertDuration(
+          MIN_ALERT_REPEAT_MS
+        )}`
+      );
     }
-    const buf = Buffer.from(base64, "base64");
+    return { channel, afterMs, everyMs };
+  });
 
-    // Send captcha photo to user
-    await safeSendPhoto(buf, {
-      caption: "🖼️ New captcha. Reply with the text.", // Removed /another from caption
-    });
+  const stops = result.filter((step) => step.channel === "stop");
+  if (stops.length > 1) throw new Error("only one stop step is allowed");
+  if (stops.length === 0 && result.some((step) => step.everyMs !== null)) {
+    // Without a stop an unacknowledged alert would repeat forever
+    throw new Error("repeating steps need a stop step, e.g. stop@15m");
+  }
+  return result.sort((a, b) => a.afterMs - b.afterMs);
+}
 
-    // Wait for user's reply
-    return new Promise((resolve, reject) => {
-      // Listener to handle user messages
-      const messageHandler = (msg) => {
-        // Check if the message is from the correct chat and is a potential captcha code
-        if (
-          String(msg.chat.id) === CHAT_ID &&
-          msg.text &&
-          /^[0-9A-Za-z]+$/.test(msg.text.trim())
-        ) {
-          cleanupListener();
-          resolve(msg.text.trim());
-        }
-      };
+/**
+ * Formats alert policy steps in the form parseAlertPolicy accepts.
+ * @param {Array<{channel: string, afterMs: number, everyMs: number|null}>} steps - The steps.
+ * @returns {string} E.g. "telegram@0s/5s,push@30s,stop@15m".
+ */
+function formatAlertPolicy(steps) {
+  return steps
+    .map(
+      (step) =>
+        `${step.channel}@${formatAlertDuration(step.afterMs)}${
+          step.everyMs !== null ? `/${formatAlertDuration(step.everyMs)}` : ""
+        }`
+    )
+    .join(",");
+}
 
-      // Listener for abort signal
-      const abortHandler = () => {
-        cleanupListener();
-        reject(new Error("Captcha request aborted."));
-      };
-
-      // Function to remove listeners
-      const cleanupListener = () => {
-        bot.removeListener("message", messageHandler);
-        signal.removeEventListener("abort", abortHandler);
-        state.captchaMessageListener = null; // Clear the reference
-        state.isWaitingForCaptcha = false;
-      };
+/**
+ * Describes the alert policy for messages, flagging channels that aren't configured.
+ * @returns {string} E.g. "Telegram at once, every 5s → Email after 2m → stop after 15m".
+ */
+function describeAlertPolicy() {
+  return state.alertPolicy
+    .map((step) => {
+      const when =
+        step.afterMs === 0
+          ? "at once"
+          : `after ${formatAlertDuration(step.afterMs)}`;
+      if (step.channel === "stop") return `stop ${when}`;
+      const channel = NOTIFIER_REGISTRY[step.channel];
+      return `${channel.label} ${when}${
+        step.everyMs !== null
+          ? `, every ${formatAlertDuration(step.everyMs)}`
+          : ""
+      }${channel.isConfigured() ? "" : " (not configured)"}`;
+    })
+    .join(" → ");
+}
 
-      // Register listeners
-      bot.on("message", messageHandler);
-      signal.addEventListener("abort", abortHandler, { once: true });
-      state.captchaMessageListener = messageHandler; // Store reference for potential cleanup
-    });
-  } catch (error) {
-    state.isWaitingForCaptcha = false; // Ensure flag is reset on error
-    if (error.name === "AbortError") {
-      console.log("Captcha request explicitly aborted.");
+/**
+ * Describes the working schedule, grouping days that share the same windows.
+ * @returns {string} E.g. "Mon–Fri 07:00-09:00, 14:00-23:00; Sat–Sun off".
+ */
+function describeWorkingSchedule() {
+  const order = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+  const capitalize = (day) => day[0].toUpperCase() + day.slice(1);
+  const groups = [];
+  for (const day of order) {
+    const windows = state.workingSchedule[day].join(", ") || "off";
+    const last = groups[groups.length - 1];
+    if (last && last.windows === windows) {
+      last.to = day;
     } else {
-      console.error(`Error during manual captcha process: ${error.message}`);
+      groups.push({ from: day, to: day, windows });
     }
-    throw error; // Re-throw the error to be caught by runCheck
   }
+  if (groups.length === 1) return `every day ${groups[0].windows}`;
+  return groups
+    .map(
+      (group) =>
+        `${capitalize(group.from)}${
+          group.to !== group.from ? `–${capitalize(group.to)}` : ""
+        } ${group.windows}`
+    )
+    .join("; ");
 }
 
 /**
- * Submits an image captcha to Anti-Captcha.com and polls for the result.
- * @param {string} base64Image - The base64 encoded image data (without 'data:image/png;base64,' prefix).
- * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
- * @returns {Promise<string>} Resolves with the solved captcha text.
- * @throws {Error} If the API call fails, task creation fails, polling times out, or operation is aborted.
+ * Describes the working period for messages: the schedule, timezone and upcoming blackout dates.
+ * @returns {string} The description.
  */
-async function solveCaptcha(base64Image, signal) {
-  if (!enableAntiCaptcha) {
-    // This function should only be called if anti-captcha is enabled,
-    // but adding a check here for safety.
-    throw new Error("Anti-captcha is not enabled.");
+function describeWorkingPeriod() {
+  let text = `${describeWorkingSchedule()} (${
+    enableTimezoneRestriction ? TIMEZONE : "local time"
+  })`;
+  const today = toLocalMoment(Date.now()).format("YYYY-MM-DD");
+  const upcoming = state.blackoutDates.filter((date) => date >= today);
+  if (upcoming.length > 0) {
+    text += `, except ${upcoming.length} blackout date(s) (next: ${upcoming[0]})`;
   }
-  console.log("🤖 Submitting captcha to Anti-Captcha.com...");
-  let taskId = null;
-
-  try {
-    // 1. Create Task
-    const createTaskResponse = await axios.post(
-      `${ANTICAPTCHA_API_BASE_URL}/createTask`,
-      {
-        clientKey: ANTI_CAPTCHA_API_KEY,
-        task: {
-          type: ANTICAPTCHA_TASK_TYPE,
-          body: base64Image,
-          minLength: 6,
-          maxLength: 6,
-          case: true,
-          numeric: 0,
-        },
-        // Optional: Add websiteUrl if needed by the service for context
-        // websiteUrl: APPOINTMENT_URL,
-      },
-      { signal, timeout: CAPTCHA_TIMEOUT_MS }
-    ); // Add timeout for the API call
+  return text;
+}
 
-    if (createTaskResponse.data.errorId !== 0) {
-      throw new Error(
-        `Anti-Captcha API error creating task: ${createTaskResponse.data.errorDescription}`
-      );
-    }
-    taskId = createTaskResponse.data.taskId;
-    console.log(`Task created with ID: ${taskId}. Polling for result...`);
+/**
+ * Computes the nationwide German public holidays of a year.
+ * @param {number} year - The year.
+ * @returns {Array<{date: string, name: string}>} The holidays with YYYY-MM-DD dates.
+ */
+function getGermanPublicHolidays(year) {
+  // Easter Sunday (anonymous Gregorian algorithm)
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  const easter = moment({ year, month: month - 1, day });
+
+  const fromEaster = (offset) =>
+    easter.clone().add(offset, "days").format("YYYY-MM-DD");
+  return [
+    { date: `${year}-01-01`, name: "New Year's Day" },
+    { date: fromEaster(-2), name: "Good Friday" },
+    { date: fromEaster(1), name: "Easter Monday" },
+    { date: `${year}-05-01`, name: "Labour Day" },
+    { date: fromEaster(39), name: "Ascension Day" },
+    { date: fromEaster(50), name: "Whit Monday" },
+    { date: `${year}-10-03`, name: "German Unity Day" },
+    { date: `${year}-12-25`, name: "Christmas Day" },
+    { date: `${year}-12-26`, name: "Boxing Day" },
+  ];
+}
 
-    // 2. Poll for Result
-    const startTime = Date.now();
-    while (Date.now() - startTime < CAPTCHA_TIMEOUT_MS) {
-      if (signal.aborted) {
-        // Attempt to cancel the task if aborted while polling
-        if (taskId) {
-          try {
-            await axios.post(
-              `${ANTICAPTCHA_API_BASE_URL}/getTaskResult`,
-              {
-                clientKey: ANTI_CAPTCHA_API_KEY,
-                taskId: taskId,
-              },
-              { signal: AbortSignal.timeout(5000) }
-            ); // Short timeout for cancel attempt
-            console.log(`Attempted to cancel task ${taskId} on abort.`);
-          } catch (cancelError) {
-            console.warn(
-              `Failed to send cancel request for task ${taskId}: ${cancelError.message}`
-            );
-          }
-        }
-        throw new Error("Captcha solving aborted.");
-      }
+/**
+ * Gets the current time string, including timezone information if enabled.
+ * @returns {string} The formatted current time string.
+ */
+function getCurrentTimeString() {
+  const now = enableTimezoneRestriction ? moment().tz(TIMEZONE) : moment();
+  return enableTimezoneRestriction
+    ? `${now.format("YYYY-MM-DD HH:mm:ss")} ${now.tz()}`
+    : now.format("YYYY-MM-DD HH:mm:ss [Local]");
+}
 
-      await new Promise((resolve) =>
-        setTimeout(resolve, ANTICAPTCHA_POLLING_INTERVAL_MS)
-      ); // Wait before polling
+/**
+ * Parses a time of day in HH:MM (24-hour) format.
+ * @param {string} text - The time, e.g. "07:30".
+ * @returns {{hour: number, minute: number}} The parsed time.
+ * @throws {Error} If the text is not a valid time of day.
+ */
+function parseTimeOfDay(text) {
+  const match = String(text)
+    .trim()
+    .match(/^(\d{1,2}):(\d{2})$/);
+  const hour = match ? parseInt(match[1], 10) : NaN;
+  const minute = match ? parseInt(match[2], 10) : NaN;
+  if (!(hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59)) {
+    throw new Error(`invalid time "${text}", expected HH:MM (24-hour format)`);
+  }
+  return { hour, minute };
+}
 
-      const getResultResponse = await axios.post(
-        `${ANTICAPTCHA_API_BASE_URL}/getTaskResult`,
-        {
-          clientKey: ANTI_CAPTCHA_API_KEY,
-          taskId: taskId,
-        },
-        { signal, timeout: CAPTCHA_TIMEOUT_MS }
-      ); // Add timeout for the API call
-
-      if (getResultResponse.data.errorId !== 0) {
-        // Check if the error is related to task not being ready yet
-        if (getResultResponse.data.errorCode === "TASK_NOT_READY") {
-          console.log(`Task ${taskId} not ready yet. Polling again...`);
-          continue; // Continue polling
-        }
-        throw new Error(
-          `Anti-Captcha API error getting result for task ${taskId}: ${getResultResponse.data.errorDescription}`
-        );
-      }
+/**
+ * Formats a time of day as HH:MM.
+ * @param {number} hour - The hour (0-23).
+ * @param {number} minute - The minute (0-59).
+ * @returns {string} The formatted time, e.g. "07:30".
+ */
+function formatTimeOfDay(hour, minute) {
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
 
-      if (getResultResponse.data.status === "processing") {
-        console.log(`Task ${taskId} still processing...`);
-        continue; // Continue polling
-      }
+/**
+ * Converts a timestamp to a moment in the configured timezone (or local time).
+ * @param {string|number|Date} value - The timestamp to convert.
+ * @returns {moment.Moment} The moment in the configured timezone.
+ */
+function toLocalMoment(value) {
+  return enableTimezoneRestriction ? moment(value).tz(TIMEZONE) : moment(value);
+}
 
-      if (getResultResponse.data.status === "ready") {
-        console.log(
-          `✅ Captcha solved: ${getResultResponse.data.solution.text}`
-        );
-        return getResultResponse.data.solution.text; // Return the solved text
-      }
+/**
+ * Validates the date filter of a watch target and returns it in canonical form.
+ * Empty rules are dropped, so a filter without rules becomes null.
+ * @param {object|null|undefined} raw - Object with optional earliest, latest (YYYY-MM-DD), excludedWeekdays and minNoticeDays.
+ * @returns {{earliest?: string, latest?: string, excludedWeekdays?: string[], minNoticeDays?: number}|null} The normalized filter.
+ * @throws {Error} If a rule is malformed.
+ */
+function normalizeDateFilter(raw) {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Invalid filter, expected an object");
+  }
 
-      // Handle unexpected status
-      throw new Error(
-        `Anti-Captcha API returned unexpected status for task ${taskId}: ${getResultResponse.data.status}`
-      );
+  const filter = {};
+  for (const key of ["earliest", "latest"]) {
+    const text = String(raw[key] ?? "").trim();
+    if (!text) continue;
+    if (!moment(text, "YYYY-MM-DD", true).isValid()) {
+      throw new Error(`Invalid ${key} date "${text}", expected YYYY-MM-DD`);
     }
-
-    // If loop finishes without result
+    filter[key] = text;
+  }
+  if (filter.earliest && filter.latest && filter.earliest > filter.latest) {
     throw new Error(
-      `Captcha solving timed out after ${
-        CAPTCHA_TIMEOUT_MS / 1000
-      } seconds for task ${taskId}.`
+      `Invalid filter, earliest ${filter.earliest} is after latest ${filter.latest}`
     );
-  } catch (error) {
-    console.error(
-      `❌ Error during Anti-Captcha solving process: ${error.message}`
-    );
-    if (error.name === "AbortError") {
-      console.log("Anti-Captcha solving explicitly aborted.");
-    } else if (axios.isCancel(error)) {
-      console.log("Anti-Captcha API request was cancelled.");
-    } else if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      console.error(
-        `Anti-Captcha API responded with status ${
-          error.response.status
-        }: ${JSON.stringify(error.response.data)}`
+  }
+
+  const weekdays = Array.isArray(raw.excludedWeekdays)
+    ? raw.excludedWeekdays.join(",")
+    : String(raw.excludedWeekdays ?? "");
+  if (weekdays.trim()) {
+    const excluded = parseWeekdays(weekdays);
+    if (excluded.length === WEEKDAY_KEYS.length) {
+      throw new Error("Invalid filter, all weekdays are excluded");
+    }
+    // Keep week order, so the filter reads the same however it was entered
+    filter.excludedWeekdays = WEEKDAY_KEYS.filter((day) =>
+      excluded.includes(day)
+    );
+  }
+
+  if (raw.minNoticeDays !== undefined && raw.minNoticeDays !== null) {
+    const days = Number(raw.minNoticeDays);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(
+        `Invalid minNoticeDays "${raw.minNoticeDays}", expected a whole number of days`
       );
-    } else if (error.request) {
-      // The request was made but no response was received
-      console.error("No response received from Anti-Captcha API.");
     }
-    throw error; // Re-throw the error
+    if (days > 0) filter.minNoticeDays = days;
   }
+
+  return Object.keys(filter).length > 0 ? filter : null;
 }
 
 /**
- * Notifies the user repeatedly via Telegram, Email, and Pushbullet until they acknowledge with "OK" or max notifications reached.
- * Returns a Promise that resolves when notifications stop.
- * @param {string} message - The notification message.
- * @returns {Promise<void>} A promise that resolves when notifications are stopped.
+ * Checks whether a bookable date passes the date filter of a watch target.
+ * The minimum notice is counted in calendar days from today in the configured timezone.
+ * @param {string} date - The date in YYYY-MM-DD format.
+ * @param {{earliest?: string, latest?: string, excludedWeekdays?: string[], minNoticeDays?: number}|null} filter - The target's date filter.
+ * @returns {boolean} True if the date is acceptable (always true without a filter).
  */
-async function notifyAvailable(message) {
-  if (state.spamInterval) {
-    console.log("Notifications already active.");
-    return Promise.resolve(); // Already notifying, return immediately
+function isDateAcceptable(date, filter) {
+  if (!filter) return true;
+  if (filter.earliest && date < filter.earliest) return false;
+  if (filter.latest && date > filter.latest) return false;
+
+  const day = moment(date, "YYYY-MM-DD");
+  if (filter.excludedWeekdays?.includes(WEEKDAY_KEYS[day.day()])) return false;
+  if (filter.minNoticeDays) {
+    const firstAllowed = toLocalMoment(Date.now())
+      .add(filter.minNoticeDays, "days")
+      .format("YYYY-MM-DD");
+    if (date < firstAllowed) return false;
   }
+  return true;
+}
 
-  return new Promise((resolve) => {
-    state.notifyAvailableResolver = resolve; // Store the resolver
-
-    let notificationCount = 0;
-    let emailCount = 0;
-
-    // Function to send all types of notifications
-    const sendAllNotifications = async () => {
-      console.log(
-        `Sending notification ${
-          notificationCount + 1
-        } of ${MAX_NOTIFICATIONS}...`
-      );
-      await safeSendMessage(message);
-      await sendPushNotification(
-        "Appointment Available!",
-        "Check Telegram for details: " + message
-      );
-
-      // Send email only on every EMAIL_NOTIFICATION_FREQUENCY notification, up to MAX_EMAIL_NOTIFICATIONS
-      if (
-        (notificationCount + 1) % EMAIL_NOTIFICATION_FREQUENCY === 0 &&
-        emailCount < MAX_EMAIL_NOTIFICATIONS
-      ) {
-        await sendEmailNotification(
-          `Appointment Available (Alert ${emailCount + 1})!`,
-          message
-        );
-        emailCount++;
-      }
+/**
+ * Describes a date filter for messages.
+ * @param {{earliest?: string, latest?: string, excludedWeekdays?: string[], minNoticeDays?: number}|null} filter - The target's date filter.
+ * @returns {string} E.g. "from 2025-06-01, until 2025-08-31, not sat/sun, 14+ days notice", or "any date".
+ */
+function describeDateFilter(filter) {
+  if (!filter) return "any date";
+  const parts = [];
+  if (filter.earliest) parts.push(`from ${filter.earliest}`);
+  if (filter.latest) parts.push(`until ${filter.latest}`);
+  if (filter.excludedWeekdays) {
+    parts.push(`not ${filter.excludedWeekdays.join("/")}`);
+  }
+  if (filter.minNoticeDays) {
+    parts.push(`${filter.minNoticeDays}+ days notice`);
+  }
+  return parts.join(", ");
+}
 
-      notificationCount++;
+/**
+ * Validates a raw watch target and returns it in canonical form.
+ * @param {object} raw - Object with locationCode, realmId, categoryId and optional label and filter.
+ * @returns {{label: string, locationCode: string, realmId: string, categoryId: string, filter?: object}} The normalized target.
+ * @throws {Error} If a field is missing or malformed.
+ */
+function normalizeTarget(raw) {
+  const locationCode = String(raw?.locationCode ?? "").trim();
+  const realmId = String(raw?.realmId ?? "").trim();
+  const categoryId = String(raw?.categoryId ?? "").trim();
 
-      // Stop interval if max notifications reached
-      if (notificationCount >= MAX_NOTIFICATIONS) {
-        console.log(
-          `Max notifications (${MAX_NOTIFICATIONS}) reached. Stopping alerts.`
-        );
-        stopNotifications();
-      }
-    };
+  if (!/^[A-Za-z0-9]+$/.test(locationCode)) {
+    throw new Error(`Invalid locationCode "${locationCode}"`);
+  }
+  if (!/^\d+$/.test(realmId)) {
+    throw new Error(`Invalid realmId "${realmId}"`);
+  }
+  if (!/^\d+$/.test(categoryId)) {
+    throw new Error(`Invalid categoryId "${categoryId}"`);
+  }
 
-    // Function to stop notifications and resolve the promise
-    const stopNotifications = () => {
-      if (state.spamInterval) {
-        clearInterval(state.spamInterval);
-        state.spamInterval = null;
-      }
-      bot.removeListener("message", stopHandler);
-      if (state.notifyAvailableResolver) {
-        state.notifyAvailableResolver();
-        state.notifyAvailableResolver = null;
-      }
-      console.log("Repeated notifications stopped.");
-    };
+  const label =
+    String(raw?.label ?? "").trim() || `${locationCode}-${categoryId}`;
+  const target = { label, locationCode, realmId, categoryId };
+  const filter = normalizeDateFilter(raw?.filter);
+  if (filter) target.filter = filter;
+  return target;
+}
 
-    // Send the first notification immediately
-    sendAllNotifications();
+/**
+ * Resolves a site profile name to its file: a bare name (letters, digits, "_" and "-")
+ * refers to SITE_PROFILE_DIR, anything else is the path of a JSON file.
+ * @param {string} nameOrPath - The profile name or path.
+ * @returns {string} The absolute path of the profile file.
+ */
+function resolveSiteProfilePath(nameOrPath) {
+  return /^[\w-]+$/.test(nameOrPath)
+    ? path.join(SITE_PROFILE_DIR, `${nameOrPath}.json`)
+    : path.resolve(nameOrPath);
+}
 
-    // Start repeated notifications
-    state.spamInterval = setInterval(
-      sendAllNotifications, // Use the combined notification function
-      NOTIFICATION_INTERVAL_MS
+/**
+ * Validates a site profile as read from its JSON file.
+ * @param {any} raw - The parsed profile.
+ * @returns {{version: number, name: string, appointmentUrl: string, queryParams: Object<string, string>, selectors: Object<string, string>, links: {day: string, slot: string}, texts: {noAppointments: string, wrongCaptcha: string, blocked: string[], maintenance: string[]}, http: {captchaForm: string, captchaField: string}|null}} The profile.
+ *   The optional http section (the captcha form's id and the name of its text field) is needed by HTTP checks.
+ * @throws {Error} If the profile is incomplete or has the wrong version.
+ */
+function normalizeSiteProfile(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("expected a JSON object");
+  }
+  if (raw.version !== SITE_PROFILE_VERSION) {
+    throw new Error(
+      `unsupported version ${raw.version} (expected ${SITE_PROFILE_VERSION})`
     );
-
-    // Listener to stop notifications
-    const stopHandler = (msg) => {
-      if (String(msg.chat.id) === CHAT_ID && msg.text?.toUpperCase() === "OK") {
-        safeSendMessage("🆗 Got it - stopping alerts.");
-        console.log("Notifications stopped by user.");
-        stopNotifications(); // Stop notifications when user sends OK
-      }
-    };
-    // Add the listener only once
-    bot.on("message", stopHandler);
-  });
+  }
+  let appointmentUrl;
+  try {
+    appointmentUrl = new URL(raw.appointmentUrl).href;
+  } catch {
+    throw new Error("appointmentUrl must be an absolute URL");
+  }
+  const queryParams = raw.queryParams ?? {};
+  if (
+    typeof queryParams !== "object" ||
+    Array.isArray(queryParams) ||
+    Object.values(queryParams).some((value) => typeof value !== "string")
+  ) {
+    throw new Error("queryParams must map names to strings");
+  }
+  const readStrings = (group, keys) =>
+    Object.fromEntries(
+      keys.map((key) => {
+        const value = raw[group]?.[key];
+        if (typeof value !== "string" || !value.trim()) {
+          throw new Error(`${group}.${key} must be a non-empty string`);
+        }
+        return [key, value];
+      })
+    );
+  const readTextList = (key) => {
+    const value = raw.texts?.[key];
+    if (
+      !Array.isArray(value) ||
+      value.some((item) => typeof item !== "string" || !item.trim())
+    ) {
+      throw new Error(`texts.${key} must be a list of non-empty strings`);
+    }
+    return value;
+  };
+
+  return {
+    version: raw.version,
+    name:
+      typeof raw.name === "string" && raw.name.trim() ? raw.name : "unnamed",
+    appointmentUrl,
+    queryParams: { ...queryParams },
+    selectors: readStrings("selectors", SITE_PROFILE_SELECTOR_KEYS),
+    links: readStrings("links", ["day", "slot"]),
+    texts: {
+      ...readStrings("texts", ["noAppointments", "wrongCaptcha"]),
+      blocked: readTextList("blocked"),
+      maintenance: readTextList("maintenance"),
+    },
+    http:
+      raw.http == null
+        ? null
+        : readStrings("http", ["captchaForm", "captchaField"]),
+  };
 }
 
 /**
- * Checks if the page content indicates no appointments are available.
- * @returns {Promise<boolean>} True if no appointments are available, false otherwise.
- * @throws {Error} If the page is not initialized.
+ * Loads and validates a site profile.
+ * @param {string} nameOrPath - The profile name or path (see resolveSiteProfilePath).
+ * @returns {ReturnType<typeof normalizeSiteProfile>} The profile.
+ * @throws {Error} If the file cannot be read or the profile is invalid.
  */
-async function checkForNoAppointments() {
-  if (!state.page) throw new Error("Page is not initialized.");
+function loadSiteProfile(nameOrPath) {
+  const file = resolveSiteProfilePath(nameOrPath);
   try {
-    // More robust check: wait for body, then evaluate
-    // Note: If waitForSelector("body") times out, it throws an error,
-    // which is caught below, causing the function to return false.
-    // This means if the page structure is unexpected (e.g., body doesn't load),
-    // the script will assume appointments *might* be available.
-    await state.page.waitForSelector("body", { timeout: 5000 });
-    return await state.page.evaluate((text) => {
-      // Use XPath for potentially more reliable text finding
-      const result = document.evaluate(
-        `//text()[contains(.,'${text}')]`,
-        document,
-        null,
-        XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-        null
-      );
-      return result.snapshotLength > 0;
-    }, NO_APPOINTMENTS_TEXT);
+    return normalizeSiteProfile(JSON.parse(readFileSync(file, "utf8")));
   } catch (error) {
-    console.error(`Error checking for appointment text: ${error.message}`);
-    // Assume appointments might be available if check fails, to be safe
+    throw new Error(`site profile ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Reloads the active site profile from its file.
+ * @returns {boolean} True if the profile changed, false if the file holds the same profile.
+ * @throws {Error} If the file cannot be read or the profile is invalid; the previous profile stays active.
+ */
+function reloadSiteProfile() {
+  const profile = loadSiteProfile(state.siteProfileName);
+  if (JSON.stringify(profile) === JSON.stringify(state.siteProfile)) {
     return false;
   }
+  state.siteProfile = profile;
+  return true;
 }
 
 /**
- * The core routine to check for appointment availability.
- * Handles browser launch, navigation, captcha solving, and checking.
- * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * Watches the active site profile's file and reloads the profile when it changes.
+ * The directory is watched, since editors often replace the file instead of writing to it.
  */
-async function runCheckLogic(signal) {
-  console.log("🚀 Starting appointment check logic...");
+function watchSiteProfile() {
+  state.siteProfileWatcher?.close();
+  state.siteProfileWatcher = null;
 
+  const file = resolveSiteProfilePath(state.siteProfileName);
+  let reloadTimer;
+  const reload = () => {
+    try {
+      if (!reloadSiteProfile()) return;
+      console.log(`🗺️ Site profile ${state.siteProfileName} reloaded.`);
+      safeSendMessage(
+        `🗺️ Site profile "${state.siteProfileName}" reloaded (${state.siteProfile.name}).`
+      );
+    } catch (error) {
+      console.error(
+        `Keeping the previous site profile, the changed one is invalid: ${error.message}`
+      );
+    }
+  };
   try {
-    // 1. Initialize Browser and Page
-    console.log(" puppeteer launch...");
-    state.browser = await puppeteer.launch({
-      headless: "new", // Use "new" headless mode
-      args: ["--no-sandbox", "--disable-setuid-sandbox"], // Add necessary arguments
-      protocolTimeout: PUPPETEER_PROTOCOL_TIMEOUT_MS, // Increased timeout for protocol operations
+    state.siteProfileWatcher = watch(path.dirname(file), (_, fileName) => {
+      if (fileName && fileName !== path.basename(file)) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(reload, SITE_PROFILE_RELOAD_DELAY_MS);
     });
-    state.page = await state.browser.newPage();
-    await state.page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36"
-    ); // Set a common user agent
-    await state.page.setViewport({ width: 1280, height: 800 }); // Set viewport
-
-    // Handle abort signal for browser closing
-    signal.addEventListener(
-      "abort",
-      async () => {
-        console.log(
-          "🚨 Abort signal received during browser operation. Closing browser."
-        );
-        await cleanupResources(); // Ensure cleanup on abort
-      },
-      { once: true }
+    state.siteProfileWatcher.on("error", (error) => {
+      console.error(`Stopped watching the site profile: ${error.message}`);
+    });
+  } catch (error) {
+    console.error(
+      `Cannot watch the site profile ${file} for changes: ${error.message}`
     );
+  }
+}
 
-    // 2. Navigate to the URL
-    console.log(`Navigating to ${APPOINTMENT_URL}...`);
-    await state.page.goto(APPOINTMENT_URL, {
-      waitUntil: "domcontentloaded",
-      timeout: PAGE_NAVIGATION_TIMEOUT_MS,
-    });
-    console.log("Navigation successful.");
+/**
+ * Builds the appointment month URL for a watch target on the active site profile.
+ * @param {{locationCode: string, realmId: string, categoryId: string}} target - The watch target.
+ * @returns {string} The appointment_showMonth.do URL for the target.
+ */
+function buildAppointmentUrl(target) {
+  const url = new URL(state.siteProfile.appointmentUrl);
+  const params = {
+    ...state.siteProfile.queryParams,
+    locationCode: target.locationCode,
+    realmId: target.realmId,
+    categoryId: target.categoryId,
+  };
+  for (const [name, value] of Object.entries(params)) {
+    url.searchParams.set(name, value);
+  }
+  return url.href;
+}
 
-    // Check if aborted after navigation
-    if (signal.aborted) throw new Error("Check aborted after navigation.");
+/**
+ * Formats a watch target for display in messages.
+ * @param {{label: string, locationCode: string, realmId: string, categoryId: string}} target - The watch target.
+ * @returns {string} A one-line description of the target.
+ */
+function formatTarget(target) {
+  const filterNote = target.filter
+    ? `, dates: ${describeDateFilter(target.filter)}`
+    : "";
+  return `${target.label} (location ${target.locationCode}, realm ${target.realmId}, category ${target.categoryId}${filterNote})`;
+}
 
-    // 3. Solve Captcha Loop
-    let captchaAttempts = 0;
-    const MAX_CAPTCHA_ATTEMPTS = 5; // Limit attempts to avoid infinite loops
+/**
+ * Finds a watch target by its 1-based number or its label.
+ * @param {string} query - The number or label from a command.
+ * @returns {number} The index in state.targets, or -1 if there is no such target.
+ */
+function findTargetIndex(query) {
+  if (!query) return -1;
+  const index = /^\d+$/.test(query)
+    ? parseInt(query, 10) - 1
+    : state.targets.findIndex((target) => target.label === query);
+  return index >= 0 && index < state.targets.length ? index : -1;
+}
 
-    while (captchaAttempts < MAX_CAPTCHA_ATTEMPTS) {
-      if (signal.aborted)
-        throw new Error("Check aborted before getting captcha.");
+/**
+ * Loads the settings saved by Telegram commands from SETTINGS_FILE and applies them.
+ * Invalid saved values are reported and skipped, leaving the env or default value in place.
+ */
+async function loadSettings() {
+  let saved;
+  try {
+    saved = await readJsonFile(SETTINGS_FILE, {});
+  } catch (error) {
+    console.error(`Failed to load saved settings: ${error.message}`);
+    return;
+  }
+  // Older versions saved one start and end time instead of the weekly schedule
+  const hasLegacyWorkingTimes =
+    Object.hasOwn(saved, "workingStart") || Object.hasOwn(saved, "workingEnd");
+  if (hasLegacyWorkingTimes && !Object.hasOwn(saved, "workingSchedule")) {
+    try {
+      saved.workingSchedule = buildLegacyWorkingSchedule(
+        saved.workingStart,
+        saved.workingEnd
+      );
+      console.log(
+        `Migrated saved working times ${saved.workingStart ?? "default"}–${
+          saved.workingEnd ?? "default"
+        } to the weekly working schedule.`
+      );
+    } catch (error) {
+      console.warn(`Ignoring saved working times: ${error.message}`);
+    }
+  }
+  for (const [key, value] of Object.entries(saved)) {
+    if (!Object.hasOwn(SETTINGS, key)) continue; // Setting no longer exists
+    const setting = SETTINGS[key];
+    try {
+      setting.set(value);
+      state.settingSources[key] = "command";
+    } catch (error) {
+      console.warn(`Ignoring saved setting ${key}: ${error.message}`);
+    }
+  }
+}
 
-      // Wait for captcha element (this will wait for the initial or a new captcha after wrong input)
-      await state.page.waitForSelector(CAPTCHA_SELECTOR, {
-        timeout: CAPTCHA_TIMEOUT_MS,
-        signal, // Pass signal here
-      });
+/**
+ * Saves all settings set by commands to SETTINGS_FILE.
+ * Write failures are logged; the in-memory value stays in effect.
+ */
+async function saveSettings() {
+  const saved = Object.fromEntries(
+    Object.entries(SETTINGS)
+      .filter(([key]) => state.settingSources[key] === "command")
+      .map(([key, setting]) => [key, setting.get()])
+  );
+  try {
+    await writeJsonFile(SETTINGS_FILE, saved);
+  } catch (error) {
+    console.error(`Failed to save settings: ${error.message}`);
+  }
+}
 
-      // Extract base64 image data
-      const base64 = await state.page.$eval(CAPTCHA_SELECTOR, (el) => {
-        const bg = el.style.background;
-        const match = bg.match(/base64,([^"]+)/);
-        // Return only the base64 part, without the prefix
-        return match ? match[1] : null;
-      });
+/**
+ * Marks a setting as set by a command and saves it.
+ * Call this after a command has changed the setting's value in `state`.
+ * @param {string} key - The key of the setting in SETTINGS.
+ */
+async function persistSetting(key) {
+  state.settingSources[key] = "command";
+  await saveSettings();
+}
 
-      if (!base64) {
-        throw new Error("Could not extract base64 data from captcha element.");
-      }
+/**
+ * Formats a setting's current value for display.
+ * @param {string} key - The key of the setting in SETTINGS.
+ * @returns {string} The formatted value.
+ */
+function formatSettingValue(key) {
+  const setting = SETTINGS[key];
+  const value = setting.get();
+  return setting.format ? setting.format(value) : JSON.stringify(value);
+}
 
-      // Solve the captcha using the anti-captcha service OR wait for manual input
-      let solvedText = null;
-      if (enableAntiCaptcha) {
-        try {
-          solvedText = await solveCaptcha(base64, signal);
-        } catch (captchaError) {
-          // If anti-captcha solving fails, log and retry the loop (which will get the same captcha)
-          console.error(
-            `Captcha solving failed: ${captchaError.message}. Retrying...`
-          );
-          await safeSendMessage(
-            `⚠️ Captcha solving failed: ${captchaError.message}. Retrying with the same captcha.`
-          );
-          captchaAttempts++; // Increment attempt counter on failure
-          continue; // Loop back to try solving the same captcha again
-        }
-      } else {
-        // Manual captcha solving
-        try {
-          solvedText = await getCaptchaFromUser(signal); // Wait for user input
-        } catch (captchaError) {
-          console.error(
-            `Manual captcha input failed: ${captchaError.message}.`
-          );
-          // If manual input fails (e.g., timeout or abort), just re-loop to ask again
-          await safeSendMessage(
-            `⚠️ Failed to get manual captcha input: ${captchaError.message}. Please try again.`
-          );
-          // Attempt to reload page to get a new captcha for manual input as a fallback
-          try {
-            await state.page.reload({ waitUntil: "domcontentloaded" });
-            console.log("Reloaded page for new manual captcha.");
-          } catch (reloadError) {
-            console.error(
-              `Error reloading page after manual captcha failure: ${reloadError.message}`
-            );
-          }
-          captchaAttempts++; // Increment attempt counter on failure
-          continue; // Loop back to ask for captcha again
-        }
-      }
+/**
+ * Reads a JSON file from the data directory.
+ * @param {string} fileName - File name relative to DATA_DIR.
+ * @param {*} fallback - Value returned if the file does not exist yet.
+ * @returns {Promise<*>} The parsed file contents, or the fallback.
+ * @throws {Error} If the file exists but cannot be read or parsed.
+ */
+async function readJsonFile(fileName, fallback) {
+  try {
+    const content = await fs.readFile(path.join(DATA_DIR, fileName), "utf8");
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
 
-      if (signal.aborted)
-        throw new Error("Check aborted after solving captcha.");
-
-      console.log(`Submitting captcha: ${solvedText}`);
-      await state.page.type(CAPTCHA_INPUT_SELECTOR, solvedText);
-      await Promise.all([
-        state.page.keyboard.press("Enter"),
-        state.page.waitForNavigation({
-          waitUntil: "domcontentloaded",
-          timeout: PAGE_NAVIGATION_TIMEOUT_MS, // Use long timeout for navigation
-        }),
-      ]);
-      console.log("Captcha submitted.");
+// One lock per data file: checks running side by side write the same files
+const dataFileLocks = new Map();
 
-      if (signal.aborted)
-        throw new Error("Check aborted after submitting captcha.");
+/**
+ * Runs a function while holding the lock of a data file, so writes to it take turns.
+ * @template T
+ * @param {string} filePath - The path of the file.
+ * @param {() => Promise<T>} fn - The function writing the file.
+ * @returns {Promise<T>} The function's result.
+ */
+function withDataFileLock(filePath, fn) {
+  if (!dataFileLocks.has(filePath)) dataFileLocks.set(filePath, createLock());
+  return dataFileLocks.get(filePath)(fn);
+}
 
-      // Check if captcha was wrong
-      const isWrongCaptcha = await state.page.evaluate(
-        (text) => document.body.innerText.includes(text),
-        WRONG_CAPTCHA_TEXT
-      );
+/**
+ * Writes a JSON file to the data directory atomically (write to a temp file, then rename),
+ * so a crash mid-write never leaves a truncated file behind. Writes to the same file
+ * take turns, so they can't mix up its temp file.
+ * @param {string} fileName - File name relative to DATA_DIR.
+ * @param {*} data - JSON-serializable data to write.
+ */
+async function writeJsonFile(fileName, data) {
+  const filePath = path.join(DATA_DIR, fileName);
+  const tempPath = `${filePath}.tmp`;
+  const json = JSON.stringify(data, null, 2); // The data as of the call
+  await withDataFileLock(filePath, async () => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(tempPath, json);
+    await fs.rename(tempPath, filePath);
+  });
+}
 
-      if (isWrongCaptcha) {
-        console.log(
-          `❌ Submitted captcha "${solvedText}" was wrong. The website should show a new one.`
+/**
+ * Sends a message safely, catching potential Telegram API errors.
+ * @param {string} text - The message text.
+ * @param {string} [chatId=CHAT_ID] - The chat to send to.
+ * @param {TelegramBot.SendMessageOptions} [options] - Send message options, e.g. reply_markup.
+ */
+async function safeSendMessage(text, chatId = CHAT_ID, options = {}) {
+  try {
+    // Ensure text is a string and not empty before sending
+    if (typeof text !== "string" || text.trim() === "") {
+      originalConsoleWarn(
+        "Attempted to send empty or non-string message to Telegram."
+      );
+      return;
+    }
+    await bot.sendMessage(chatId, text, options);
+  } catch (error) {
+    // Log the error to the original console to avoid infinite loops
+    originalConsoleError(
+      `Failed to send message to Telegram: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Replies to a command in the chat it was sent from.
+ * @param {TelegramBot.Message} msg - The command message.
+ * @param {string} text - The reply text.
+ */
+async function replyTo(msg, text) {
+  await safeSendMessage(text, String(msg.chat.id));
+}
+
+/**
+ * Sends a document safely, catching potential Telegram API errors.
+ * @param {Buffer} documentBuffer - The file contents.
+ * @param {TelegramBot.SendDocumentOptions} options - Send document options.
+ * @param {TelegramBot.FileOptions} fileOptions - File name and content type.
+ * @param {string} [chatId=CHAT_ID] - The chat to send to.
+ * @returns {Promise<TelegramBot.Message|null>} The sent message, or null if sending failed.
+ */
+async function safeSendDocument(
+  documentBuffer,
+  options,
+  fileOptions,
+  chatId = CHAT_ID
+) {
+  try {
+    return await bot.sendDocument(chatId, documentBuffer, options, fileOptions);
+  } catch (error) {
+    // Log the error to the original console to avoid infinite loops
+    originalConsoleError(
+      `Failed to send document to Telegram: ${error.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Sends a photo safely, catching potential Telegram API errors.
+ * @param {Buffer} photoBuffer - The photo buffer.
+ * @param {TelegramBot.SendPhotoOptions} options - Send photo options.
+ * @param {string} [chatId=CHAT_ID] - The chat to send to.
+ * @returns {Promise<TelegramBot.Message|null>} The sent message, or null if sending failed.
+ */
+async function safeSendPhoto(photoBuffer, options, chatId = CHAT_ID) {
+  try {
+    return await bot.sendPhoto(chatId, photoBuffer, options);
+  } catch (error) {
+    // Log the error to the original console to avoid infinite loops
+    originalConsoleError(`Failed to send photo to Telegram: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Sends an email notification.
+ * @param {string} subject - The email subject.
+ * @param {string} text - The email body.
+ */
+async function sendEmailNotification(subject, text) {
+  if (!enableEmail || !transporter) {
+    console.log(
+      "Email notifications are not enabled or transporter not initialized."
+    );
+    return;
+  }
+  console.log(`📧 Sending email: "${subject}"`);
+  try {
+    await transporter.sendMail({
+      from: EMAIL_SENDER,
+      to: EMAIL_RECIPIENT,
+      subject: subject,
+      text: text,
+    });
+    console.log("Email sent successfully.");
+  } catch (error) {
+    console.error(`❌ Failed to send email: ${error.message}`);
+  }
+}
+
+/**
+ * Sends a Pushbullet notification.
+ * @param {string} title - The notification title.
+ * @param {string} body - The notification body.
+ */
+async function sendPushNotification(title, body) {
+  if (!enablePushbullet) {
+    console.log("Pushbullet notifications are not enabled.");
+    return;
+  }
+  console.log(`📱 Sending Pushbullet notification: "${title}"`);
+  try {
+    await axios.post(
+      `${PUSHBULLET_API_BASE_URL}/pushes`,
+      {
+        type: "note",
+        title: title,
+        body: body,
+      },
+      {
+        headers: {
+          "Access-Token": PUSHBULLET_API_KEY,
+          "Content-Type": "application/json",
+        },
+        timeout: 10000, // Add a timeout for the API call
+      }
+    );
+    console.log("Pushbullet notification sent successfully.");
+  } catch (error) {
+    console.error(
+      `❌ Failed to send Pushbullet notification: ${error.message}`
+    );
+    if (error.response) {
+      console.error(
+        `Pushbullet API responded with status ${
+          error.response.status
+        }: ${JSON.stringify(error.response.data)}`
+      );
+    } else if (error.request) {
+      console.error("No response received from Pushbullet API.");
+    }
+  }
+}
+
+/**
+ * Sends a notification to an HTTP API as JSON.
+ * @param {string} label - The notifier, for error messages.
+ * @param {string} url - The endpoint.
+ * @param {object} body - The JSON payload.
+ * @param {object} [headers] - Extra request headers, e.g. Authorization.
+ * @param {"post"|"put"} [method="post"] - The HTTP method.
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails or the API answers with an error status.
+ */
+async function sendHttpNotification(
+  label,
+  url,
+  body,
+  headers = {},
+  method = "post"
+) {
+  console.log(`📣 Sending ${label} notification`);
+  try {
+    await axios({
+      method,
+      url,
+      data: body,
+      headers: { "Content-Type": "application/json", ...headers },
+      timeout: NOTIFIER_TIMEOUT_MS,
+    });
+  } catch (error) {
+    const detail = error.response
+      ? `status ${error.response.status}: ${JSON.stringify(
+          error.response.data
+        )}`
+      : error.message;
+    throw new Error(`${label} notification failed (${detail})`);
+  }
+}
+
+/**
+ * Fills the {{placeholders}} in the string values of a webhook payload template.
+ * A string that is exactly one placeholder takes the value as is, so numbers stay numbers.
+ * @param {*} template - The template: an object, array or value.
+ * @param {object} values - Placeholder values, e.g. {title, message, count, ackUrl, sentAt}.
+ * @returns {*} The payload.
+ */
+function renderWebhookTemplate(template, values) {
+  if (Array.isArray(template)) {
+    return template.map((item) => renderWebhookTemplate(item, values));
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        renderWebhookTemplate(value, values),
+      ])
+    );
+  }
+  if (typeof template !== "string") return template;
+
+  const whole = /^{{(\w+)}}$/.exec(template);
+  if (whole) return values[whole[1]] ?? null;
+  return template.replace(/{{(\w+)}}/g, (_, key) => String(values[key] ?? ""));
+}
+
+/**
+ * Validates the priority of a notification.
+ * @param {*} value - The priority.
+ * @param {{min: number, max: number}} range - The priorities the service accepts.
+ * @returns {number} The priority.
+ * @throws {Error} If the priority is not a whole number in the range.
+ */
+function normalizeNotifierPriority(value, { min, max }) {
+  const priority = typeof value === "string" ? Number(value) : value;
+  if (!(Number.isInteger(priority) && priority >= min && priority <= max)) {
+    throw new Error(
+      `priority must be a whole number from ${min} to ${max}, got "${value}"`
+    );
+  }
+  return priority;
+}
+
+/**
+ * Merges the notifier settings from NOTIFIERS_FILE into notifierConfig. The file holds
+ * one object per notifier, e.g. {"slack": {"webhookUrl": "..."}}; its values win over the env.
+ * Unknown settings are skipped, and a notifier with an invalid value keeps its env settings.
+ */
+async function loadNotifierConfig() {
+  let saved;
+  try {
+    saved = await readJsonFile(NOTIFIERS_FILE, {});
+  } catch (error) {
+    console.error(`Failed to load notifier settings: ${error.message}`);
+    return;
+  }
+  for (const [name, config] of Object.entries(saved)) {
+    if (
+      !Object.hasOwn(notifierConfig, name) ||
+      !config ||
+      typeof config !== "object"
+    ) {
+      console.warn(
+        `Warning: Unknown notifier "${name}" in ${NOTIFIERS_FILE}, use ${Object.keys(
+          notifierConfig
+        ).join(", ")}.`
+      );
+      continue;
+    }
+    const updates = {};
+    for (const [key, value] of Object.entries(config)) {
+      if (!Object.hasOwn(notifierConfig[name], key)) {
+        console.warn(
+          `Warning: Unknown setting "${key}" for ${name} in ${NOTIFIERS_FILE}, use ${Object.keys(
+            notifierConfig[name]
+          ).join(", ")}.`
         );
-        await safeSendMessage(
-          `❌ Submitted captcha "${solvedText}" was wrong. The website should have loaded a new captcha. Attempting to solve the new one.`
+        continue;
+      }
+      updates[key] = value;
+    }
+    if (Object.hasOwn(updates, "priority")) {
+      try {
+        updates.priority = normalizeNotifierPriority(
+          updates.priority,
+          NOTIFIER_PRIORITY_RANGES[name]
+        );
+      } catch (error) {
+        console.warn(
+          `Warning: Ignoring ${name} settings in ${NOTIFIERS_FILE}: ${error.message}.`
         );
-        captchaAttempts++; // Increment attempt counter on wrong captcha
-        // The loop will continue, wait for the new CAPTCHA_SELECTOR, and try again
         continue;
       }
+    }
+    Object.assign(notifierConfig[name], updates);
+  }
+}
 
-      console.log("✅ Captcha accepted.");
-      break; // Exit loop if captcha is correct
+// --- Browser Pool ---
+// A single browser is launched on the first check and reused by the following ones, each
+// check opening its own page. It is recycled after BROWSER_MAX_RUNS checks or when it uses
+// more than BROWSER_MAX_MEMORY_MB, restarted when it hangs, and relaunched after a crash.
+
+const browserMaxRuns = Number(BROWSER_MAX_RUNS);
+if (!(Number.isInteger(browserMaxRuns) && browserMaxRuns >= 1)) {
+  console.error("Error: BROWSER_MAX_RUNS must be a whole number from 1.");
+  process.exit(1);
+}
+const httpCheckConcurrency = Number(HTTP_CHECK_CONCURRENCY);
+if (!(Number.isInteger(httpCheckConcurrency) && httpCheckConcurrency >= 1)) {
+  console.error("Error: HTTP_CHECK_CONCURRENCY must be a whole number from 1.");
+  process.exit(1);
+}
+const manualCaptchaTimeoutMs = Number(MANUAL_CAPTCHA_TIMEOUT_SECONDS) * 1000;
+if (!(Number.isInteger(manualCaptchaTimeoutMs) && manualCaptchaTimeoutMs > 0)) {
+  console.error(
+    "Error: MANUAL_CAPTCHA_TIMEOUT_SECONDS must be a whole number of seconds from 1."
+  );
+  process.exit(1);
+}
+const browserMaxMemoryMb = Number(BROWSER_MAX_MEMORY_MB);
+if (!(browserMaxMemoryMb >= 0)) {
+  console.error(
+    "Error: BROWSER_MAX_MEMORY_MB must be a number of megabytes (0 for no limit)."
+  );
+  process.exit(1);
+}
+
+/**
+ * Waits for a promise, giving up after a timeout.
+ * @template T
+ * @param {Promise<T>} promise - The promise to wait for.
+ * @param {number} timeoutMs - How long to wait.
+ * @returns {Promise<T>} The promise's value.
+ * @throws {Error} If the promise rejects or the time runs out ("timed out").
+ */
+async function withTimeout(promise, timeoutMs) {
+  let timer;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("timed out")), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Launches the browser kept warm between checks. Its profile is kept in BROWSER_PROFILE_DIR,
+ * so cookies and site data survive recycling and restarts where the site allows it.
+ * Concurrent calls share one launch.
+ * @returns {Promise<import("puppeteer").Browser>} The browser.
+ */
+function launchBrowser() {
+  state.browserLaunching ??= (async () => {
+    const userDataDir = path.join(DATA_DIR, BROWSER_PROFILE_DIR);
+    await fs.mkdir(userDataDir, { recursive: true });
+    // A crashed browser leaves the profile locked; only this bot's browser uses it
+    for (const file of [
+      "SingletonLock",
+      "SingletonSocket",
+      "SingletonCookie",
+    ]) {
+      await fs.rm(path.join(userDataDir, file), { force: true });
     }
+    console.log(" puppeteer launch...");
+    const browser = await puppeteer.launch({
+      headless: "new", // Use "new" headless mode
+      args: ["--no-sandbox", "--disable-setuid-sandbox"], // Add necessary arguments
+      protocolTimeout: PUPPETEER_PROTOCOL_TIMEOUT_MS, // Increased timeout for protocol operations
+      userDataDir,
+    });
+    browser.on("disconnected", () => handleBrowserDisconnected(browser));
+    state.browser = browser;
+    state.browserLaunchedAt = Date.now();
+    state.browserRuns = 0;
+    console.log("🌐 Browser launched.");
+    return browser;
+  })().finally(() => {
+    state.browserLaunching = null;
+  });
+  return state.browserLaunching;
+}
 
-    // Check if we exited the loop due to max attempts
-    if (captchaAttempts >= MAX_CAPTCHA_ATTEMPTS) {
-      throw new Error(
-        `Failed to solve captcha after ${MAX_CAPTCHA_ATTEMPTS} attempts.`
-      );
+/**
+ * Handles a browser that went away without closeBrowser, i.e. crashed or was killed.
+ * An idle bot launches a new one at once (except in HTTP mode, where the next fallback
+ * does); during a check, the check's retry does.
+ * @param {import("puppeteer").Browser} browser - The browser that disconnected.
+ */
+function handleBrowserDisconnected(browser) {
+  if (state.browser !== browser) return; // Closed on purpose by closeBrowser
+  state.browser = null;
+  state.browserLaunchedAt = null;
+  if (state.isRunning) {
+    console.warn("💥 The browser crashed. The check's retry starts a new one.");
+    return;
+  }
+  if (state.checkMode === "http") {
+    console.warn("💥 The browser crashed. The next fallback starts a new one.");
+    return;
+  }
+  console.warn("💥 The browser crashed. Starting a new one...");
+  launchBrowser().catch((error) => {
+    console.error(`Failed to restart the browser: ${error.message}`);
+  });
+}
+
+/**
+ * Closes the browser kept warm between checks, killing its process if it doesn't close in time.
+ * @returns {Promise<void>}
+ */
+async function closeBrowser() {
+  const browser = state.browser;
+  state.browser = null; // Tells handleBrowserDisconnected this is no crash
+  state.browserLaunchedAt = null;
+  if (!browser) return;
+  try {
+    await withTimeout(browser.close(), BROWSER_CLOSE_TIMEOUT_MS);
+  } catch (closeError) {
+    console.error(`Error closing browser: ${closeError.message}`);
+    browser.process()?.kill("SIGKILL"); // Don't leave a hung browser behind
+  }
+}
+
+/**
+ * Checks whether a browser still answers.
+ * @param {import("puppeteer").Browser} browser - The browser.
+ * @returns {Promise<boolean>} True if it is connected and answered within BROWSER_HEALTH_CHECK_TIMEOUT_MS.
+ */
+async function isBrowserHealthy(browser) {
+  if (!browser.connected) return false;
+  try {
+    await withTimeout(browser.version(), BROWSER_HEALTH_CHECK_TIMEOUT_MS);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Measures the memory a browser uses: the resident memory of its process and all of its
+ * child processes (renderers, GPU, ...). Memory shared between them is counted more than
+ * once, so this overestimates a little. Reads /proc, so it only works on Linux.
+ * @param {import("puppeteer").Browser} browser - The browser.
+ * @returns {Promise<number|null>} The memory in bytes, or null if it cannot be measured.
+ */
+async function getBrowserMemoryUsage(browser) {
+  const rootPid = browser.process()?.pid;
+  if (!rootPid) return null;
+  try {
+    const parents = new Map();
+    for (const entry of await fs.readdir("/proc")) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        const stat = await fs.readFile(`/proc/${entry}/stat`, "utf8");
+        // The process name in parentheses may contain spaces; the parent PID follows it
+        const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+        parents.set(Number(entry), Number(fields[1]));
+      } catch {
+        // The process exited meanwhile
+      }
+    }
+    const pids = new Set([rootPid]);
+    for (let grew = true; grew; ) {
+      grew = false;
+      for (const [pid, parent] of parents) {
+        if (pids.has(parent) && !pids.has(pid)) {
+          pids.add(pid);
+          grew = true;
+        }
+      }
+    }
+
+    let bytes = 0;
+    for (const pid of pids) {
+      try {
+        const status = await fs.readFile(`/proc/${pid}/status`, "utf8");
+        const match = status.match(/^VmRSS:\s+(\d+) kB/m);
+        if (match) bytes += Number(match[1]) * 1024;
+      } catch {
+        // The process exited meanwhile
+      }
+    }
+    return bytes;
+  } catch {
+    return null; // No /proc
+  }
+}
+
+/**
+ * Tells whether the browser is due for recycling.
+ * @param {import("puppeteer").Browser} browser - The browser.
+ * @returns {Promise<string|null>} Why it should be recycled, or null if it can stay.
+ */
+async function getBrowserRecycleReason(browser) {
+  if (state.browserRuns >= browserMaxRuns) {
+    return `after ${state.browserRuns} checks`;
+  }
+  if (browserMaxMemoryMb > 0) {
+    const bytes = await getBrowserMemoryUsage(browser);
+    if (bytes !== null && bytes > browserMaxMemoryMb * 1024 * 1024) {
+      return `using ${Math.round(bytes / 1024 / 1024)} MB`;
     }
+  }
+  return null;
+}
 
-    // 4. Check for Appointments (Current Month)
-    console.log("Checking current month for appointments...");
-    const noAppointmentsThisMonth = await checkForNoAppointments();
+/**
+ * Gets the browser kept warm between checks. Launches it if there is none, restarts it if
+ * it stopped answering, and recycles it if it is due and no check has a page open in it.
+ * @returns {Promise<import("puppeteer").Browser>} A browser that answers.
+ * @throws {Error} If a browser cannot be launched.
+ */
+async function acquireBrowser() {
+  if (state.browserLaunching) return state.browserLaunching;
+  const browser = state.browser;
+  if (!browser) return launchBrowser();
 
-    if (signal.aborted)
-      throw new Error("Check aborted after checking current month.");
+  if (!(await isBrowserHealthy(browser))) {
+    console.warn("🩺 The browser stopped answering. Restarting it...");
+  } else {
+    const reason = state.page ? null : await getBrowserRecycleReason(browser);
+    if (!reason) return browser;
+    console.log(`♻️ Recycling the browser (${reason})...`);
+  }
+  await closeBrowser();
+  return launchBrowser();
+}
+
+/**
+ * Describes the browser kept warm between checks for /status.
+ * @returns {Promise<string>} E.g. "running since Mon 14:05, 3 check(s), 310 MB".
+ */
+async function describeBrowser() {
+  if (!state.browser) return "not running (starts with the next check)";
+  const bytes = await getBrowserMemoryUsage(state.browser);
+  return `running since ${toLocalMoment(state.browserLaunchedAt).format(
+    "ddd HH:mm"
+  )}, ${state.browserRuns} check(s)${
+    bytes === null ? "" : `, ${Math.round(bytes / 1024 / 1024)} MB`
+  }`;
+}
+
+/**
+ * Cleans up after a check attempt: stops the alert, drops the captcha listeners and
+ * closes the check's page. The browser stays open for the next check.
+ */
+async function cleanupCheckResources() {
+  console.log("🧹 Cleaning up resources...");
+  stopAlert(); // Also resolves the notifyAvailable promise
+  if (state.captchaMessageListener) {
+    bot.removeListener("message", state.captchaMessageListener);
+    state.captchaMessageListener = null;
+  }
+  state.captchaActionHandler = null;
+  state.captchaPrompts = [];
+  await closeCheckPage();
+  state.isWaitingForCaptcha = false; // Reset manual captcha flag
+  console.log("🧼 Cleanup complete.");
+}
+
+/**
+ * Closes the page of the browser check, leaving alerts and captcha prompts of other
+ * checks alone.
+ * @returns {Promise<void>}
+ */
+async function closeCheckPage() {
+  const page = state.page;
+  state.page = null;
+  if (!page) return;
+  try {
+    await page.close();
+  } catch (closeError) {
+    // The browser crashed or is being closed
+    console.log(`Page already closed: ${closeError.message}`);
+  }
+}
+
+/**
+ * Cleans up all resources, including the browser kept warm between checks. Used on shutdown.
+ */
+async function cleanupResources() {
+  await cleanupCheckResources();
+  await closeBrowser();
+}
+
+// --- Access Control ---
+
+/**
+ * Gets the roles that apply to a message: admin for CHAT_ID (the chat or its user),
+ * the role granted to the user with /grant, and solver for the solver pool chats.
+ * @param {number|string} chatId - The chat the message was sent in.
+ * @param {number|string} [userId] - The user who sent it.
+ * @returns {string[]} The roles, possibly empty.
+ */
+function getRoles(chatId, userId) {
+  const roles = [];
+  if (String(chatId) === CHAT_ID || String(userId) === CHAT_ID) {
+    roles.push("admin");
+  }
+  if (userId != null && state.roles[userId]) roles.push(state.roles[userId]);
+  if (captchaSolverPoolChatIds.includes(String(chatId))) roles.push("solver");
+  return roles;
+}
+
+/**
+ * Checks whether a name is one of the roles in ROLE_PERMISSIONS.
+ * @param {unknown} role - The name, e.g. from /grant or ROLES_FILE.
+ * @returns {boolean} True for "admin", "viewer" and "solver"; false for anything else,
+ *   including names inherited from Object.prototype such as "constructor".
+ */
+function isKnownRole(role) {
+  return typeof role === "string" && Object.hasOwn(ROLE_PERMISSIONS, role);
+}
+
+/**
+ * Checks whether a message's chat or sender holds a permission.
+ * @param {number|string} chatId - The chat the message was sent in.
+ * @param {number|string} [userId] - The user who sent it.
+ * @param {"admin"|"viewer"|"solver"} permission - The required permission.
+ * @returns {boolean} True if one of the roles grants the permission.
+ */
+function hasPermission(chatId, userId, permission) {
+  return getRoles(chatId, userId).some((role) =>
+    ROLE_PERMISSIONS[role].includes(permission)
+  );
+}
+
+/**
+ * Checks a command message against a permission. Known users without it are told so;
+ * strangers are ignored, as before roles existed.
+ * @param {TelegramBot.Message} msg - The command message.
+ * @param {"admin"|"viewer"|"solver"} permission - The required permission.
+ * @returns {Promise<boolean>} True if the command may run.
+ */
+async function authorize(msg, permission) {
+  if (hasPermission(msg.chat.id, msg.from?.id, permission)) return true;
+  if (getRoles(msg.chat.id, msg.from?.id).length > 0) {
+    await safeSendMessage(
+      `⛔ This command needs the ${permission} role.`,
+      String(msg.chat.id)
+    );
+  }
+  return false;
+}
+
+/**
+ * Lists the chats to send something to that needs a permission: CHAT_ID, then the
+ * private chats of users granted a role with it (and the solver pool chats for "solver").
+ * @param {"viewer"|"solver"} permission - The permission the recipients need.
+ * @returns {string[]} The chat IDs, CHAT_ID first, without duplicates.
+ */
+function getChatIdsWithPermission(permission) {
+  const chatIds = [
+    CHAT_ID,
+    ...Object.entries(state.roles)
+      .filter(([, role]) => ROLE_PERMISSIONS[role].includes(permission))
+      .map(([userId]) => userId), // A user's private chat ID is their user ID
+  ];
+  if (permission === "solver") chatIds.push(...captchaSolverPoolChatIds);
+  return [...new Set(chatIds)];
+}
+
+/**
+ * Saves the granted roles to ROLES_FILE.
+ * @returns {Promise<void>}
+ */
+async function saveRoles() {
+  try {
+    await writeJsonFile(ROLES_FILE, state.roles);
+  } catch (error) {
+    console.error(`Failed to save roles: ${error.message}`);
+  }
+}
+
+// --- Captcha Solvers ---
+// A solver is an object { name, label, isConfigured, timeoutMs, solve(base64Image, signal),
+// reportIncorrect(taskId) } whose solve() resolves with { text, taskId?, cost? }.
+// CAPTCHA_SOLVERS lists the order in which they are tried; the next one is used when a
+// solver fails or exceeds its timeout.
+
+// Inline buttons sent with a manual captcha; callback data is "captcha:<action>"
+const CAPTCHA_ACTION_KEYBOARD = {
+  inline_keyboard: [
+    [
+      { text: "🔄 New captcha", callback_data: "captcha:refresh" },
+      { text: "⏭️ Skip this run", callback_data: "captcha:skip" },
+      { text: "🛑 Abort", callback_data: "captcha:abort" },
+    ],
+  ],
+};
+
+/**
+ * Creates the error a manual captcha request rejects with when the user asks for a
+ * new captcha or skips the target. The action is kept on `error.captchaAction`.
+ * @param {"refresh"|"skip"} action - The requested action.
+ * @returns {Error} The error.
+ */
+function createCaptchaActionError(action) {
+  const error = new Error(
+    action === "refresh"
+      ? "New captcha requested by user."
+      : "Captcha skipped by user."
+  );
+  error.captchaAction = action;
+  return error;
+}
+
+/**
+ * Gets a display name for a Telegram user.
+ * @param {TelegramBot.User} user - The user.
+ * @returns {string} The @username, or the first name if there is none.
+ */
+function formatTelegramUser(user) {
+  return user.username ? `@${user.username}` : user.first_name;
+}
+
+/**
+ * Sends the captcha image to every chat of the solver pool and waits for the first
+ * valid reply. (For manual mode) The other chats are told the captcha was taken.
+ * The photo carries inline buttons to get a new captcha, skip the target or abort the check.
+ * Nobody answering within MANUAL_CAPTCHA_TIMEOUT_SECONDS fails the request.
+ * @param {string} base64Image - The base64 encoded image data.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<{text: string, solvedBy: {id: number, name: string}}>} Resolves with the captcha text and who sent it.
+ * @throws {Error} If Telegram interaction fails, nobody answered in time, the operation
+ * is aborted, or the user asked for a new captcha or to skip (see createCaptchaActionError).
+ */
+async function getCaptchaFromUser(base64Image, signal) {
+  state.isWaitingForCaptcha = true;
+
+  try {
+    const buf = Buffer.from(base64Image, "base64");
+
+    // Send captcha photo to every solver chat
+    const prompts = [];
+    for (const chatId of getChatIdsWithPermission("solver")) {
+      const prompt = await safeSendPhoto(
+        buf,
+        {
+          caption:
+            "🖼️ New captcha. Reply with the text, or send /another for a new one.",
+          reply_markup: CAPTCHA_ACTION_KEYBOARD,
+        },
+        chatId
+      );
+      if (prompt) prompts.push({ chatId, messageId: prompt.message_id });
+    }
+
+    // Wait for user's reply
+    return await new Promise((resolve, reject) => {
+      // Listener to handle user messages
+      const messageHandler = (msg) => {
+        // Check if the message is from a solver chat and is a potential captcha code
+        if (
+          msg.from &&
+          hasPermission(msg.chat.id, msg.from.id, "solver") &&
+          msg.text &&
+          // Only full-length answers count, so chatter or an "OK" for an alert
+          // isn't taken as a solution (commands like /ack never match)
+          new RegExp(`^[0-9A-Za-z]{${CAPTCHA_TEXT_LENGTH}}$`).test(
+            msg.text.trim()
+          )
+        ) {
+          cleanupListener();
+          const solvedBy = {
+            id: msg.from.id,
+            name: formatTelegramUser(msg.from),
+          };
+          console.log(`Captcha answered by ${solvedBy.name}.`);
+          // Let the rest of the pool know they can stop
+          for (const prompt of prompts) {
+            if (prompt.chatId !== String(msg.chat.id)) {
+              safeSendMessage(
+                `✅ Captcha taken by ${solvedBy.name}.`,
+                prompt.chatId
+              );
+            }
+          }
+          resolve({ text: msg.text.trim(), solvedBy });
+        }
+      };
+
+      // Listener for abort signal
+      const abortHandler = () => {
+        cleanupListener();
+        reject(new Error("Captcha request aborted."));
+      };
+
+      // Timer for a pool that doesn't answer
+      const timeoutHandler = () => {
+        cleanupListener();
+        for (const prompt of prompts) {
+          safeSendMessage(
+            "⌛ Nobody answered the captcha in time.",
+            prompt.chatId
+          );
+        }
+        reject(new Error(`no answer within ${manualCaptchaTimeoutMs / 1000}s`));
+      };
+      const timer = setTimeout(timeoutHandler, manualCaptchaTimeoutMs);
+
+      // Handler for /another and the inline buttons
+      const actionHandler = (action) => {
+        if (action === "abort") {
+          // Aborting the check rejects this request through abortHandler
+          state.currentAbortController?.abort();
+          return;
+        }
+        cleanupListener();
+        reject(createCaptchaActionError(action));
+      };
+
+      // Function to remove listeners
+      const cleanupListener = () => {
+        clearTimeout(timer);
+        bot.removeListener("message", messageHandler);
+        signal.removeEventListener("abort", abortHandler);
+        state.captchaMessageListener = null; // Clear the reference
+        state.captchaActionHandler = null;
+        state.captchaPrompts = [];
+        state.isWaitingForCaptcha = false;
+      };
+
+      if (signal.aborted) {
+        abortHandler();
+        return;
+      }
+
+      // Register listeners
+      bot.on("message", messageHandler);
+      signal.addEventListener("abort", abortHandler, { once: true });
+      state.captchaMessageListener = messageHandler; // Store reference for potential cleanup
+      state.captchaActionHandler = actionHandler;
+      state.captchaPrompts = prompts;
+    });
+  } catch (error) {
+    state.isWaitingForCaptcha = false; // Ensure flag is reset on error
+    if (error.name === "AbortError" || signal.aborted) {
+      console.log("Captcha request explicitly aborted.");
+    } else if (error.captchaAction) {
+      console.log(error.message);
+    } else {
+      console.error(`Error during manual captcha process: ${error.message}`);
+    }
+    throw error; // Re-throw the error to be caught by runCheck
+  }
+}
+
+/**
+ * Creates a solver for services with the Anti-Captcha task API
+ * (createTask + getTaskResult), used by Anti-Captcha, 2Captcha and CapMonster Cloud.
+ * @param {object} options - Solver options.
+ * @param {string} options.name - Solver name used in CAPTCHA_SOLVERS.
+ * @param {string} options.label - Human-readable service name.
+ * @param {string} options.baseUrl - API base URL (overridable to use a mock server).
+ * @param {string} [options.apiKey] - API key; the solver is not configured without one.
+ * @param {string|null} [options.reportPath] - API method for reporting a wrong solution, if the service has one.
+ * @returns {object} The solver.
+ */
+function createTaskApiSolver({
+  name,
+  label,
+  baseUrl,
+  apiKey,
+  reportPath = null,
+}) {
+  return {
+    name,
+    label,
+    isConfigured: !!apiKey,
+    timeoutMs: CAPTCHA_TIMEOUT_MS,
+    /**
+     * Submits an image captcha and polls for the result.
+     * @param {string} base64Image - The base64 encoded image data (without 'data:image/png;base64,' prefix).
+     * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+     * @returns {Promise<{text: string, taskId: number, cost: number|null}>} Resolves with the solved captcha text, the task ID and the reported cost in USD.
+     * @throws {Error} If the API call fails, task creation fails, polling times out, or operation is aborted.
+     */
+    async solve(base64Image, signal) {
+      console.log(`🤖 Submitting captcha to ${label}...`);
+      let taskId = null;
+
+      try {
+        // 1. Create Task
+        const createTaskResponse = await axios.post(
+          `${baseUrl}/createTask`,
+          {
+            clientKey: apiKey,
+            task: {
+              type: ANTICAPTCHA_TASK_TYPE,
+              body: base64Image,
+              minLength: CAPTCHA_TEXT_LENGTH,
+              maxLength: CAPTCHA_TEXT_LENGTH,
+              case: true,
+              numeric: 0,
+            },
+          },
+          { signal, timeout: CAPTCHA_TIMEOUT_MS }
+        ); // Add timeout for the API call
+
+        if (createTaskResponse.data.errorId !== 0) {
+          throw new Error(
+            `${label} API error creating task: ${createTaskResponse.data.errorDescription}`
+          );
+        }
+        taskId = createTaskResponse.data.taskId;
+        console.log(`Task created with ID: ${taskId}. Polling for result...`);
+
+        // 2. Poll for Result
+        const startTime = Date.now();
+        while (Date.now() - startTime < CAPTCHA_TIMEOUT_MS) {
+          if (signal.aborted) {
+            throw new Error("Captcha solving aborted.");
+          }
+
+          await new Promise((resolve) =>
+            setTimeout(resolve, ANTICAPTCHA_POLLING_INTERVAL_MS)
+          ); // Wait before polling
+
+          const getResultResponse = await axios.post(
+            `${baseUrl}/getTaskResult`,
+            {
+              clientKey: apiKey,
+              taskId: taskId,
+            },
+            { signal, timeout: CAPTCHA_TIMEOUT_MS }
+          ); // Add timeout for the API call
+
+          if (getResultResponse.data.errorId !== 0) {
+            // Check if the error is related to task not being ready yet
+            if (getResultResponse.data.errorCode === "TASK_NOT_READY") {
+              console.log(`Task ${taskId} not ready yet. Polling again...`);
+              continue; // Continue polling
+            }
+            throw new Error(
+              `${label} API error getting result for task ${taskId}: ${getResultResponse.data.errorDescription}`
+            );
+          }
+
+          if (getResultResponse.data.status === "processing") {
+            console.log(`Task ${taskId} still processing...`);
+            continue; // Continue polling
+          }
+
+          if (getResultResponse.data.status === "ready") {
+            console.log(
+              `✅ Captcha solved by ${label}: ${getResultResponse.data.solution.text}`
+            );
+            const cost = parseFloat(getResultResponse.data.cost);
+            return {
+              text: getResultResponse.data.solution.text,
+              taskId,
+              cost: Number.isFinite(cost) ? cost : null,
+            };
+          }
+
+          // Handle unexpected status
+          throw new Error(
+            `${label} API returned unexpected status for task ${taskId}: ${getResultResponse.data.status}`
+          );
+        }
+
+        // If loop finishes without result
+        throw new Error(
+          `Captcha solving timed out after ${
+            CAPTCHA_TIMEOUT_MS / 1000
+          } seconds for task ${taskId}.`
+        );
+      } catch (error) {
+        console.error(
+          `❌ Error during ${label} solving process: ${error.message}`
+        );
+        if (error.name === "AbortError") {
+          console.log(`${label} solving explicitly aborted.`);
+        } else if (axios.isCancel(error)) {
+          console.log(`${label} API request was cancelled.`);
+        } else if (error.response) {
+          // The request was made and the server responded with a status code
+          // that falls out of the range of 2xx
+          console.error(
+            `${label} API responded with status ${
+              error.response.status
+            }: ${JSON.stringify(error.response.data)}`
+          );
+        } else if (error.request) {
+          // The request was made but no response was received
+          console.error(`No response received from ${label} API.`);
+        }
+        throw error; // Re-throw the error
+      }
+    },
+    /**
+     * Reports a wrong solution so the service can refund it and improve.
+     * @param {number} taskId - The task ID of the wrong solution.
+     * @returns {Promise<boolean>} True if reported, false if the service has no report API.
+     * @throws {Error} If the API call fails or the report is rejected.
+     */
+    async reportIncorrect(taskId) {
+      if (!reportPath) return false;
+      const response = await axios.post(
+        `${baseUrl}/${reportPath}`,
+        { clientKey: apiKey, taskId },
+        { timeout: CAPTCHA_TIMEOUT_MS }
+      );
+      if (response.data.errorId !== 0) {
+        throw new Error(
+          `${label} API error reporting task ${taskId}: ${response.data.errorDescription}`
+        );
+      }
+      return true;
+    },
+  };
+}
+
+const ocrMinConfidence = Number(OCR_MIN_CONFIDENCE);
+if (!(ocrMinConfidence >= 0 && ocrMinConfidence <= 100)) {
+  console.error("Error: OCR_MIN_CONFIDENCE must be a number from 0 to 100.");
+  process.exit(1);
+}
+
+let ocrWorkerPromise = null; // Lazily created Tesseract worker, reused across captchas
+
+/**
+ * Returns the Tesseract worker, creating it on first use.
+ * Language data is loaded from the @tesseract.js-data/eng package, never downloaded.
+ * @returns {Promise<import("tesseract.js").Worker>} The OCR worker.
+ */
+function getOcrWorker() {
+  ocrWorkerPromise ??= (async () => {
+    const worker = await createWorker(tesseractEnglish.code, OEM.LSTM_ONLY, {
+      langPath: tesseractEnglish.langPath,
+      gzip: tesseractEnglish.gzip,
+      cacheMethod: "none", // Read the bundled file directly instead of caching a copy
+    });
+    await worker.setParameters({
+      tessedit_pageseg_mode: PSM.SINGLE_LINE,
+      tessedit_char_whitelist: CAPTCHA_CHARACTERS,
+    });
+    return worker;
+  })().catch((error) => {
+    ocrWorkerPromise = null; // Retry creating the worker next time
+    throw error;
+  });
+  return ocrWorkerPromise;
+}
+
+/**
+ * Preprocesses a captcha image for OCR: greyscale, upscale and binarize so the
+ * characters stand out from the background noise.
+ * @param {string} base64Image - The base64 encoded image data.
+ * @returns {Promise<Buffer>} The processed PNG image.
+ */
+async function preprocessCaptchaImage(base64Image) {
+  const image = await Jimp.read(Buffer.from(base64Image, "base64"));
+  image
+    .greyscale()
+    .normalize()
+    .scale(OCR_SCALE_FACTOR)
+    .threshold({ max: OCR_BINARIZE_THRESHOLD });
+  return image.getBuffer("image/png");
+}
+
+/**
+ * Solves a captcha locally with Tesseract OCR. No network is used.
+ * @param {string} base64Image - The base64 encoded image data.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<{text: string, confidence: number}>} The recognized text and Tesseract's confidence.
+ * @throws {Error} If the text is not a valid captcha, the confidence is below OCR_MIN_CONFIDENCE, or the operation is aborted.
+ */
+async function solveCaptchaWithOcr(base64Image, signal) {
+  console.log("🔍 Running local OCR on the captcha...");
+  const image = await preprocessCaptchaImage(base64Image);
+  const worker = await getOcrWorker();
+
+  // Tesseract cannot cancel a running recognition, so stop waiting for it instead
+  const { data } = await new Promise((resolve, reject) => {
+    const abortHandler = () => reject(new Error("OCR aborted."));
+    if (signal.aborted) return abortHandler();
+    signal.addEventListener("abort", abortHandler, { once: true });
+    worker
+      .recognize(image)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", abortHandler));
+  });
+
+  const text = data.text.replace(/[^0-9A-Za-z]/g, "");
+  const confidence = Math.round(data.confidence);
+  if (text.length !== CAPTCHA_TEXT_LENGTH) {
+    throw new Error(
+      `OCR read "${text}", expected ${CAPTCHA_TEXT_LENGTH} characters`
+    );
+  }
+  if (confidence < ocrMinConfidence) {
+    throw new Error(
+      `OCR read "${text}" with confidence ${confidence}, below ${ocrMinConfidence}`
+    );
+  }
+  console.log(`✅ Captcha read by OCR: ${text} (confidence ${confidence})`);
+  return { text, confidence };
+}
+
+// All known solvers, by name
+const CAPTCHA_SOLVER_REGISTRY = {
+  ocr: {
+    name: "ocr",
+    label: "Local OCR",
+    isConfigured: true,
+    timeoutMs: CAPTCHA_TIMEOUT_MS,
+    solve: solveCaptchaWithOcr,
+    reportIncorrect: async () => false, // Nobody to report to
+  },
+  anticaptcha: createTaskApiSolver({
+    name: "anticaptcha",
+    label: "Anti-Captcha",
+    baseUrl: ANTICAPTCHA_API_URL,
+    apiKey: ANTI_CAPTCHA_API_KEY,
+    reportPath: "reportIncorrectImageCaptcha",
+  }),
+  "2captcha": createTaskApiSolver({
+    name: "2captcha",
+    label: "2Captcha",
+    baseUrl: TWOCAPTCHA_API_URL,
+    apiKey: TWOCAPTCHA_API_KEY,
+    reportPath: "reportIncorrect",
+  }),
+  capmonster: createTaskApiSolver({
+    name: "capmonster",
+    label: "CapMonster",
+    baseUrl: CAPMONSTER_API_URL,
+    apiKey: CAPMONSTER_API_KEY,
+    reportPath: null, // CapMonster Cloud has no API to report wrong solutions
+  }),
+  manual: {
+    name: "manual",
+    label: "Telegram (manual)",
+    isConfigured: true,
+    // getCaptchaFromUser times out by itself, so waiting for another check's captcha doesn't count
+    timeoutMs: null,
+    // Checks running side by side take turns asking
+    solve: (base64Image, signal) =>
+      withManualCaptchaLock(() => getCaptchaFromUser(base64Image, signal)),
+    reportIncorrect: async () => false, // Nobody to report to
+  },
+};
+
+// The solver chain: configured solvers in CAPTCHA_SOLVERS order
+const captchaSolverChain = CAPTCHA_SOLVERS.split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean)
+  .map((name) => {
+    if (!Object.hasOwn(CAPTCHA_SOLVER_REGISTRY, name)) {
+      console.error(
+        `Error: Unknown captcha solver "${name}" in CAPTCHA_SOLVERS. Known solvers: ${Object.keys(
+          CAPTCHA_SOLVER_REGISTRY
+        ).join(", ")}.`
+      );
+      process.exit(1); // Exit if the chain is invalid
+    }
+    return CAPTCHA_SOLVER_REGISTRY[name];
+  })
+  .filter((solver) => solver.isConfigured);
+
+if (captchaSolverChain.length === 0) {
+  console.error(
+    "Error: No usable captcha solver in CAPTCHA_SOLVERS. Add 'manual' or configure an API key."
+  );
+  process.exit(1);
+}
+
+/**
+ * Adds to the counters of a captcha solver and persists them to SOLVER_STATS_FILE.
+ * Write failures are logged but never fail the check.
+ * @param {string} solverName - The solver name.
+ * @param {{attempts?: number, solved?: number, failed?: number, correct?: number, incorrect?: number, reported?: number, latencyMs?: number, cost?: number}} changes - Amounts to add.
+ * @returns {Promise<void>}
+ */
+async function updateSolverStats(solverName, changes) {
+  const stats = (state.solverStats[solverName] ??= {
+    attempts: 0, // Captchas handed to the solver
+    solved: 0, // Returned an answer
+    failed: 0, // Threw or timed out
+    correct: 0, // Answer accepted by the website
+    incorrect: 0, // Answer rejected by the website
+    reported: 0, // Wrong answers reported back to the service
+    latencyMs: 0, // Total time spent on solved captchas
+    cost: 0, // Total cost reported by the service, in USD
+  });
+  for (const [field, amount] of Object.entries(changes)) {
+    stats[field] = (stats[field] ?? 0) + amount;
+  }
+  try {
+    await writeJsonFile(SOLVER_STATS_FILE, state.solverStats);
+  } catch (error) {
+    console.error(`Failed to save solver statistics: ${error.message}`);
+  }
+}
+
+/**
+ * Solves a captcha by trying each solver of the chain in order until one succeeds.
+ * A solver that throws or exceeds its timeout is skipped in favour of the next one.
+ * @param {string} base64Image - The base64 encoded image data.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<{text: string, solver: string, taskId?: number, cost?: number|null}>} The solution and the name of the solver that produced it.
+ * @throws {Error} If every solver failed, or the operation is aborted.
+ */
+async function solveCaptchaWithChain(base64Image, signal) {
+  const failures = [];
+  for (const solver of captchaSolverChain) {
+    if (signal.aborted) throw new Error("Captcha solving aborted.");
+
+    const solverSignal = solver.timeoutMs
+      ? AbortSignal.any([signal, AbortSignal.timeout(solver.timeoutMs)])
+      : signal;
+    const startedAt = Date.now();
+    try {
+      const solution = await solver.solve(base64Image, solverSignal);
+      await updateSolverStats(solver.name, {
+        attempts: 1,
+        solved: 1,
+        latencyMs: Date.now() - startedAt,
+        cost: solution.cost ?? 0,
+      });
+      return { ...solution, solver: solver.name };
+    } catch (error) {
+      // The whole check was aborted, or the user asked for a new captcha or to skip
+      if (signal.aborted || error.captchaAction) throw error;
+      await updateSolverStats(solver.name, { attempts: 1, failed: 1 });
+      const reason = solverSignal.aborted
+        ? `timed out after ${solver.timeoutMs / 1000}s`
+        : error.message;
+      failures.push(`${solver.label}: ${reason}`);
+      console.warn(
+        `Captcha solver ${solver.label} failed (${reason}). Trying the next solver...`
+      );
+    }
+  }
+  throw new Error(`All captcha solvers failed (${failures.join("; ")})`);
+}
+
+/**
+ * Records that the website rejected a solution and reports it to the solver service,
+ * if the service supports it. Report failures are logged but never fail the check.
+ * @param {{solver: string, taskId?: number}} solution - The rejected solution.
+ * @returns {Promise<void>}
+ */
+async function reportIncorrectCaptcha(solution) {
+  const solver = CAPTCHA_SOLVER_REGISTRY[solution.solver];
+  let reported = 0;
+  if (solution.taskId != null) {
+    try {
+      if (await solver.reportIncorrect(solution.taskId)) {
+        reported = 1;
+        console.log(
+          `📣 Reported wrong captcha (task ${solution.taskId}) to ${solver.label}.`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Failed to report wrong captcha to ${solver.label}: ${error.message}`
+      );
+    }
+  }
+  await updateSolverStats(solution.solver, { incorrect: 1, reported });
+}
+
+/**
+ * Formats the statistics of one captcha solver for /solverstats.
+ * @param {string} solverName - The solver name.
+ * @param {object} stats - The solver's counters.
+ * @returns {string} A multi-line summary.
+ */
+function formatSolverStats(solverName, stats) {
+  const label = CAPTCHA_SOLVER_REGISTRY[solverName]?.label ?? solverName;
+  const judged = stats.correct + stats.incorrect;
+  const lines = [
+    `🧩 ${label}`,
+    `Captchas: ${stats.attempts} (${stats.solved} answered, ${stats.failed} failed)`,
+    `Accuracy: ${
+      judged ? `${((stats.correct / judged) * 100).toFixed(1)}%` : "n/a"
+    } (${stats.correct} correct, ${stats.incorrect} wrong, ${
+      stats.reported
+    } reported)`,
+    `Average latency: ${
+      stats.solved ? formatDuration(stats.latencyMs / stats.solved) : "n/a"
+    }`,
+  ];
+  if (stats.cost > 0) {
+    lines.push(
+      `Cost: $${stats.cost.toFixed(4)} total, $${
+        stats.correct ? (stats.cost / stats.correct).toFixed(4) : "n/a"
+      } per correct captcha`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Records the website's verdict on a manual captcha answer for the person who sent it
+ * and persists the leaderboard to LEADERBOARD_FILE. Answers from automated solvers are
+ * ignored. Write failures are logged but never fail the check.
+ * @param {{solvedBy?: {id: number, name: string}}} solution - The submitted solution.
+ * @param {boolean} isAccepted - Whether the website accepted the solution.
+ * @returns {Promise<void>}
+ */
+async function updateLeaderboard(solution, isAccepted) {
+  if (!solution.solvedBy) return;
+
+  const { id, name } = solution.solvedBy;
+  const entry = (state.leaderboard[id] ??= { name, accepted: 0, rejected: 0 });
+  entry.name = name; // Keep the latest username
+  if (isAccepted) entry.accepted++;
+  else entry.rejected++;
+  try {
+    await writeJsonFile(LEADERBOARD_FILE, state.leaderboard);
+  } catch (error) {
+    console.error(`Failed to save the captcha leaderboard: ${error.message}`);
+  }
+}
+
+/**
+ * Saves a submitted captcha image with its text, solver and the website's verdict
+ * to CAPTCHA_ARCHIVE_DIR, when the archive is enabled. Write failures are logged
+ * but never fail the check.
+ * @param {string} base64Image - The base64 encoded image data.
+ * @param {{text: string, solver: string}} solution - The submitted solution.
+ * @param {boolean} isAccepted - Whether the website accepted the solution.
+ * @param {object} target - The watch target the captcha belongs to.
+ * @returns {Promise<void>}
+ */
+async function archiveCaptcha(base64Image, solution, isAccepted, target) {
+  if (!state.isCaptchaArchiveEnabled) return;
+
+  const capturedAt = new Date();
+  const extension = base64Image.startsWith("/9j/") ? "jpg" : "png"; // JPEG or PNG magic bytes
+  // Captchas of checks running side by side may be archived in the same millisecond
+  const imageFile = `${capturedAt.getTime()}-${solution.solver}-${randomBytes(
+    4
+  ).toString("hex")}.${extension}`;
+  const archiveDir = path.join(DATA_DIR, CAPTCHA_ARCHIVE_DIR);
+  try {
+    await fs.mkdir(archiveDir, { recursive: true });
+    await fs.writeFile(
+      path.join(archiveDir, imageFile),
+      Buffer.from(base64Image, "base64")
+    );
+    const label = {
+      image: imageFile,
+      text: solution.text,
+      solver: solution.solver,
+      verdict: isAccepted ? "accepted" : "rejected",
+      target: target.label,
+      capturedAt: capturedAt.toISOString(),
+    };
+    await fs.appendFile(
+      path.join(archiveDir, CAPTCHA_LABELS_FILE),
+      `${JSON.stringify(label)}\n`
+    );
+  } catch (error) {
+    console.error(`Failed to archive captcha: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the labels of the captcha archive, skipping lines that cannot be parsed.
+ * @returns {Promise<Array<object>>} The labels, oldest first.
+ */
+async function readCaptchaLabels() {
+  return readJsonLinesFile(
+    path.join(DATA_DIR, CAPTCHA_ARCHIVE_DIR, CAPTCHA_LABELS_FILE)
+  );
+}
+
+/**
+ * Reads a file with one JSON value per line, skipping lines that cannot be parsed.
+ * @param {string} filePath - The path of the file.
+ * @returns {Promise<Array<*>>} The values in file order, or [] if the file does not exist.
+ * @throws {Error} If the file exists but cannot be read.
+ */
+async function readJsonLinesFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  return content
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // A partially written line, e.g. after a crash
+      }
+    });
+}
+
+/**
+ * Builds a gzipped JSONL export of the captcha archive: one line per captcha with
+ * its label fields and the image inlined as base64. The export is split into parts
+ * of at most CAPTCHA_EXPORT_PART_MAX_BYTES before compression, built one at a time,
+ * so neither memory nor Telegram's upload limit bound the size of the archive.
+ * @param {"accepted"|"rejected"} [verdict] - Only export captchas with this verdict.
+ * @returns {AsyncGenerator<{buffer: Buffer, count: number}>} The compressed parts and the number of captchas in each.
+ */
+async function* exportCaptchaArchive(verdict) {
+  const labels = (await readCaptchaLabels()).filter(
+    (label) => !verdict || label.verdict === verdict
+  );
+  const gzip = promisify(zlib.gzip);
+  let lines = [];
+  let size = 0;
+  for (const label of labels) {
+    let line;
+    try {
+      const image = await fs.readFile(
+        path.join(DATA_DIR, CAPTCHA_ARCHIVE_DIR, label.image)
+      );
+      line = JSON.stringify({ ...label, data: image.toString("base64") });
+    } catch (error) {
+      console.warn(
+        `Skipping archived captcha ${label.image}: ${error.message}`
+      );
+      continue;
+    }
+    if (
+      lines.length > 0 &&
+      size + line.length > CAPTCHA_EXPORT_PART_MAX_BYTES
+    ) {
+      yield { buffer: await gzip(lines.join("\n")), count: lines.length };
+      lines = [];
+      size = 0;
+    }
+    lines.push(line);
+    size += line.length + 1; // With the newline
+  }
+  if (lines.length > 0) {
+    yield { buffer: await gzip(lines.join("\n")), count: lines.length };
+  }
+}
+
+/**
+ * Captures what the browser page shows, a full-page screenshot and the HTML, and saves
+ * both to SNAPSHOT_DIR. For an HTTP check, only the HTML of its last page is saved.
+ * Failures are logged but never fail the check.
+ * @param {{label: string}} target - The watch target being checked.
+ * @param {string} reason - Why the snapshot is taken, e.g. "available" or "error" (part of the file names).
+ * @param {{page: {url: string, html: string}|null}|null} [httpSession=null] - The session of an HTTP check.
+ * @returns {Promise<{name: string, screenshot: Buffer|null, html: string}|null>} The snapshot, or null if there is no page or capturing failed.
+ */
+async function captureSnapshot(target, reason, httpSession = null) {
+  if (httpSession ? !httpSession.page : !state.page) return null;
+
+  const name = `${Date.now()}-${target.label.replace(
+    /[^\w-]+/g,
+    "_"
+  )}-${reason}`;
+  let timer;
+  try {
+    const [screenshot, html] = httpSession
+      ? [null, httpSession.page.html]
+      : await Promise.race([
+          Promise.all([
+            state.page.screenshot({ fullPage: true }),
+            state.page.content(),
+          ]),
+          new Promise((_, reject) => {
+            timer = setTimeout(
+              () => reject(new Error("timed out")),
+              SNAPSHOT_TIMEOUT_MS
+            );
+          }),
+        ]);
+    const snapshot = {
+      name,
+      screenshot: screenshot && Buffer.from(screenshot),
+      html,
+    };
+
+    const snapshotDir = path.join(DATA_DIR, SNAPSHOT_DIR);
+    await fs.mkdir(snapshotDir, { recursive: true });
+    if (snapshot.screenshot) {
+      await fs.writeFile(
+        path.join(snapshotDir, `${name}.png`),
+        snapshot.screenshot
+      );
+    }
+    await fs.writeFile(path.join(snapshotDir, `${name}.html`), html);
+    // File names start with the timestamp, so sorting puts the oldest first
+    const files = (await fs.readdir(snapshotDir)).sort();
+    const excess = files.length - MAX_SNAPSHOTS * 2; // A .png and an .html each
+    for (const file of files.slice(0, Math.max(excess, 0))) {
+      await fs.rm(path.join(snapshotDir, file), { force: true });
+    }
+    return snapshot;
+  } catch (error) {
+    console.error(`Failed to capture a page snapshot: ${error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Sends a snapshot to Telegram: the screenshot as a photo and the HTML as a document.
+ * Without a screenshot, the caption goes with the HTML.
+ * @param {{name: string, screenshot: Buffer|null, html: string}} snapshot - The snapshot from captureSnapshot.
+ * @param {string} caption - The photo caption.
+ * @returns {Promise<void>}
+ */
+async function sendSnapshot(snapshot, caption) {
+  const htmlCaption = `🧾 Page HTML (${SNAPSHOT_DIR}/${snapshot.name}.html)`;
+  if (snapshot.screenshot) {
+    await safeSendPhoto(snapshot.screenshot, {
+      caption: caption.substring(0, 1024), // Telegram's caption limit
+    });
+  }
+  await safeSendDocument(
+    Buffer.from(snapshot.html),
+    {
+      caption: snapshot.screenshot
+        ? htmlCaption
+        : caption.substring(0, 1024 - htmlCaption.length - 1) +
+          `\n${htmlCaption}`,
+    },
+    { filename: `${snapshot.name}.html`, contentType: "text/html" }
+  );
+}
+
+/**
+ * Checks whether someone may acknowledge an alert: admins, and the second contacts.
+ * @param {number|string} chatId - The chat the acknowledgement came from.
+ * @param {number|string|undefined} userId - The user who sent it.
+ * @returns {boolean} True if the user may stop the alert.
+ */
+function canAcknowledgeAlert(chatId, userId) {
+  return (
+    hasPermission(chatId, userId, "admin") ||
+    alertContactChatIds.includes(String(chatId))
+  );
+}
+
+/**
+ * Builds the acknowledgement link of an alert.
+ * @param {{token: string}} alert - The alert.
+ * @returns {string|null} The link, or null if ALERT_ACK_PORT is not set.
+ */
+function getAlertAckUrl(alert) {
+  return alertAckBaseUrl ? `${alertAckBaseUrl}/ack?token=${alert.token}` : null;
+}
+
+/**
+ * Ends the active alert: cancels its pending and repeating sends and resolves notifyAvailable.
+ * @param {string} [acknowledgedBy] - Who acknowledged it and how, e.g. "Jane via Telegram".
+ *   Omitted when the alert ends for another reason (policy finished, new check, shutdown).
+ * @returns {boolean} False if no alert was active.
+ */
+function stopAlert(acknowledgedBy) {
+  const alert = state.activeAlert;
+  if (!alert) return false;
+  state.activeAlert = null;
+  alert.timers.forEach((timer) => clearTimeout(timer)); // Clears intervals too
+  bot.removeListener("message", alert.messageListener);
+
+  if (acknowledgedBy) {
+    const text = `🆗 Alert acknowledged by ${acknowledgedBy} - stopping alerts.`;
+    safeSendMessage(text);
+    // The second contacts were told to act, so tell them it's handled
+    if (alert.counts.contact) {
+      alertContactChatIds.forEach((chatId) => safeSendMessage(text, chatId));
+    }
+    console.log(`Notifications stopped by ${acknowledgedBy}.`);
+  }
+  console.log("Repeated notifications stopped.");
+  alert.resolve();
+  return true;
+}
+
+/**
+ * Raises the alarm following state.alertPolicy: each step sends on its channel after
+ * its delay, repeating if it has an interval, until someone acknowledges (OK, /ack, the
+ * inline button or the acknowledgement link) or the stop step is reached. A policy
+ * without a stop step (it has no repeating steps) ends once its last step has sent.
+ * If another target's alert is still active, the message joins it instead: it goes out
+ * at once on the channels that alert has reached, and its repeats carry both messages.
+ * Returns a Promise that resolves when the alert ends.
+ * @param {string} message - The notification message.
+ * @returns {Promise<void>} A promise that resolves when notifications are stopped.
+ */
+async function notifyAvailable(message) {
+  if (state.activeAlert) {
+    const alert = state.activeAlert;
+    console.log("Notifications already active, adding these slots to them.");
+    alert.message = `${alert.message}\n\n${message}`;
+    for (const chatId of getChatIdsWithPermission("viewer")) {
+      if (chatId !== CHAT_ID) safeSendMessage(message, chatId);
+    }
+    await Promise.all(
+      Object.keys(alert.counts).map((channelName) =>
+        alert.send(channelName, message)
+      )
+    );
+    return alert.done;
+  }
+
+  const alert = {
+    message,
+    token: randomBytes(16).toString("hex"), // Secret of the acknowledgement link
+    timers: [],
+    counts: {}, // Alerts sent per channel
+    messageListener: null,
+    send: null, // Sends one alert on a channel, see below
+    resolve: null,
+    done: null, // Resolves when the alert ends
+  };
+  alert.done = new Promise((resolve) => {
+    alert.resolve = resolve;
+  });
+  state.activeAlert = alert;
+  const ackUrl = getAlertAckUrl(alert);
+
+  // Sends one alert on a channel, unless the alert ended in the meantime
+  alert.send = async (channelName, text = alert.message) => {
+    if (state.activeAlert !== alert) return;
+    const count = (alert.counts[channelName] || 0) + 1;
+    alert.counts[channelName] = count;
+    console.log(
+      `Sending alert ${count} via ${NOTIFIER_REGISTRY[channelName].label}...`
+    );
+    try {
+      await NOTIFIER_REGISTRY[channelName].send({
+        title: ALERT_TITLE,
+        message: text,
+        count,
+        ackUrl,
+      });
+    } catch (error) {
+      console.error(
+        `❌ Failed to send alert via ${channelName}: ${error.message}`
+      );
+    }
+  };
+
+  for (const step of state.alertPolicy) {
+    if (step.channel === "stop") {
+      alert.timers.push(
+        setTimeout(() => {
+          console.log(
+            `Alert policy finished after ${formatAlertDuration(
+              step.afterMs
+            )} without acknowledgement. Stopping alerts.`
+          );
+          stopAlert();
+        }, step.afterMs)
+      );
+      continue;
+    }
+    if (!NOTIFIER_REGISTRY[step.channel].isConfigured()) continue; // Reported at startup
+    alert.timers.push(
+      setTimeout(() => {
+        alert.send(step.channel);
+        if (step.everyMs !== null && state.activeAlert === alert) {
+          alert.timers.push(
+            setInterval(() => alert.send(step.channel), step.everyMs)
+          );
+        }
+      }, step.afterMs)
+    );
+  }
+  if (!state.alertPolicy.some((step) => step.channel === "stop")) {
+    // Nothing more would be sent, so don't keep the check waiting for an acknowledgement
+    const lastAfterMs = Math.max(
+      ...state.alertPolicy.map((step) => step.afterMs)
+    );
+    alert.timers.push(
+      setTimeout(() => {
+        console.log("Alert policy finished: every step has sent.");
+        stopAlert();
+      }, lastAfterMs) // Scheduled after the step timers, so it runs after the last one
+    );
+  }
+
+  // Viewers and other admins get the alert once; the escalation goes to CHAT_ID
+  for (const chatId of getChatIdsWithPermission("viewer")) {
+    if (chatId !== CHAT_ID) safeSendMessage(message, chatId);
+  }
+
+  // Listener to stop notifications when an admin or second contact sends OK
+  alert.messageListener = (msg) => {
+    if (
+      canAcknowledgeAlert(msg.chat.id, msg.from?.id) &&
+      msg.text?.toUpperCase() === "OK"
+    ) {
+      stopAlert(`${formatTelegramUser(msg.from)} via Telegram`);
+    }
+  };
+  bot.on("message", alert.messageListener);
+  return alert.done;
+}
+
+/**
+ * Reads the token from a POST /ack form submission.
+ * @param {http.IncomingMessage} request - The request.
+ * @returns {Promise<string|null>} The token, or null if the body is too large or can't be read.
+ */
+async function readAckFormToken(request) {
+  let body = "";
+  try {
+    for await (const chunk of request) {
+      body += chunk;
+      if (body.length > ALERT_ACK_MAX_BODY_BYTES) return null;
+    }
+  } catch {
+    return null; // The client went away
+  }
+  return new URLSearchParams(body).get("token");
+}
+
+/**
+ * Starts the HTTP server behind the acknowledgement links. GET /ack?token=... only shows
+ * a confirmation page, so link previews and mail scanners that fetch the link don't stop
+ * the alert; the page's button POSTs the token to /ack, which stops it.
+ * Only the token of the active alert counts, so old links do nothing.
+ */
+function startAlertAckServer() {
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    if (
+      url.pathname !== "/ack" ||
+      (request.method !== "GET" && request.method !== "POST")
+    ) {
+      response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      response.end("Not found");
+      return;
+    }
+    const token =
+      request.method === "POST"
+        ? await readAckFormToken(request)
+        : url.searchParams.get("token");
+    const isActive = state.activeAlert && token === state.activeAlert.token;
+    if (!isActive) {
+      response.writeHead(410, { "Content-Type": "text/plain; charset=utf-8" });
+      response.end("This alert is no longer active.");
+      return;
+    }
+    if (request.method === "POST") {
+      stopAlert("acknowledgement link");
+      response.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+      response.end("✅ Alert acknowledged. The alerts have stopped.");
+      return;
+    }
+    // The token is hex (see notifyAvailable), so it is safe in the page as it is
+    response.writeHead(200, {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "no-store",
+    });
+    response.end(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width">
+<title>Acknowledge alert</title></head><body>
+<p>🚨 An appointment alert is running.</p>
+<form method="post" action="ack">
+<input type="hidden" name="token" value="${token}">
+<button type="submit">Acknowledge and stop the alerts</button>
+</form></body></html>`);
+  });
+  server.on("error", (error) => {
+    console.error(`❌ Acknowledgement server failed: ${error.message}`);
+  });
+  server.listen(Number(ALERT_ACK_PORT), () => {
+    console.log(
+      `🔗 Acknowledgement links served on port ${ALERT_ACK_PORT} (${alertAckBaseUrl}).`
+    );
+  });
+}
+
+/**
+ * Reads what tells the page states apart from a page.
+ * @param {import("puppeteer").Page} [page=state.page] - The page to read.
+ * @param {ReturnType<typeof normalizeSiteProfile>} [profile=state.siteProfile] - The site profile to read it with.
+ * @returns {Promise<{text: string, hasCaptcha: boolean, hasDayLinks: boolean}>} The page signals.
+ * @throws {Error} If the page is not initialized or cannot be read (e.g. while navigating).
+ */
+async function readPageSignals(page = state.page, profile = state.siteProfile) {
+  if (!page) throw new Error("Page is not initialized.");
+  return page.evaluate(
+    (captchaSelector, dayLinkFragment) => ({
+      text: document.body?.innerText ?? "",
+      hasCaptcha: !!document.querySelector(captchaSelector),
+      hasDayLinks: !!document.querySelector(`a[href*="${dayLinkFragment}"]`),
+    }),
+    profile.selectors.captcha,
+    profile.links.day
+  );
+}
+
+/**
+ * Classifies a page from its signals. The blocked and maintenance texts are matched
+ * case-insensitively, and only on pages that show neither a captcha nor the month view.
+ * @param {{text: string, hasCaptcha: boolean, hasDayLinks: boolean}} signals - From readPageSignals.
+ * @param {ReturnType<typeof normalizeSiteProfile>} [profile=state.siteProfile] - The site profile with the page texts.
+ * @returns {"captcha"|"wrongCaptcha"|"noSlots"|"slots"|"blocked"|"maintenance"|"unknown"} The page state.
+ */
+function classifyPageSignals(
+  { text, hasCaptcha, hasDayLinks },
+  profile = state.siteProfile
+) {
+  const { texts } = profile;
+  if (hasCaptcha) {
+    return text.includes(texts.wrongCaptcha) ? "wrongCaptcha" : "captcha";
+  }
+  if (text.includes(texts.noAppointments)) return "noSlots";
+  if (hasDayLinks) return "slots";
+
+  const lowerText = text.toLowerCase();
+  const containsAny = (items) =>
+    items.some((item) => lowerText.includes(item.toLowerCase()));
+  if (containsAny(texts.blocked)) return "blocked";
+  if (containsAny(texts.maintenance)) return "maintenance";
+  // Never guess "slots" here: a changed layout must not raise a false alarm
+  return "unknown";
+}
+
+/**
+ * Waits until the page reaches one of the expected states. Gives up early on a blocked or
+ * maintenance page, since waiting won't change those.
+ * @param {string[]} expected - The acceptable page states.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @param {number} [timeoutMs=PAGE_STATE_TIMEOUT_MS] - How long to wait.
+ * @returns {Promise<string>} The page state when it matched or the time ran out.
+ */
+async function detectPageState(
+  expected,
+  signal,
+  timeoutMs = PAGE_STATE_TIMEOUT_MS
+) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    let pageState = "unknown";
+    try {
+      pageState = classifyPageSignals(await readPageSignals());
+    } catch (error) {
+      if (!state.page) throw error;
+      // The page may be between navigations; try again
+    }
+    if (
+      expected.includes(pageState) ||
+      pageState === "blocked" ||
+      pageState === "maintenance" ||
+      Date.now() >= deadline
+    ) {
+      return pageState;
+    }
+    if (signal.aborted)
+      throw new Error("Check aborted while reading the page.");
+    await new Promise((resolve) => setTimeout(resolve, PAGE_STATE_POLL_MS));
+  }
+}
+
+/**
+ * Creates the error a check fails with when the page is not in an expected state.
+ * The state is kept on `error.pageState`.
+ * @param {string} pageState - The state the page is in.
+ * @param {string} expectedDescription - What was expected, e.g. "the month view".
+ * @returns {Error} The error.
+ */
+function createPageStateError(pageState, expectedDescription) {
+  const descriptions = {
+    blocked: "The site blocked the request",
+    maintenance: "The site is down for maintenance",
+    unknown: "Unknown page",
+  };
+  const error = new Error(
+    `${
+      descriptions[pageState] || `Unexpected ${pageState} page`
+    } (expected ${expectedDescription})`
+  );
+  error.pageState = pageState;
+  return error;
+}
+
+/**
+ * Tests a site profile against a saved page: loads the HTML with JavaScript disabled, in
+ * a browser context apart from the checks' session, counts the matches of each selector and link pattern, looks for
+ * the page texts and classifies the page as a check would, in the browser and with the
+ * HTML parser of HTTP checks (if the profile has an http section).
+ * @param {ReturnType<typeof normalizeSiteProfile>} profile - The site profile to test.
+ * @param {string} html - The saved page, e.g. a snapshot from captureSnapshot.
+ * @returns {Promise<{pageState: string, httpPageState: string|null, selectors: Object<string, number|string>, links: Object<string, number>, texts: Object<string, boolean|string[]>}>}
+ *   The page state, the page state found by HTTP checks, the match count per selector (or the error of an invalid selector),
+ *   the match count per link pattern, and which texts were found.
+ */
+async function testSiteProfile(profile, html) {
+  const context = await (await acquireBrowser()).createBrowserContext();
+  try {
+    const page = await context.newPage();
+    await page.setJavaScriptEnabled(false); // The saved page must not run its scripts
+    await page.setContent(html, {
+      waitUntil: "domcontentloaded",
+      timeout: PROFILE_TEST_TIMEOUT_MS,
+    });
+
+    const selectors = {};
+    for (const [key, selector] of Object.entries(profile.selectors)) {
+      try {
+        selectors[key] = await page.$$eval(selector, (items) => items.length);
+      } catch (error) {
+        selectors[key] = error.message.split("\n")[0];
+      }
+    }
+    const links = {};
+    for (const [key, fragment] of Object.entries(profile.links)) {
+      links[key] = await page.$$eval(
+        "a[href]",
+        (items, hrefFragment) =>
+          items.filter((item) =>
+            item.getAttribute("href").includes(hrefFragment)
+          ).length,
+        fragment
+      );
+    }
+
+    const signals = await readPageSignals(page, profile);
+    const lowerText = signals.text.toLowerCase();
+    const findTexts = (items) =>
+      items.filter((item) => lowerText.includes(item.toLowerCase()));
+    return {
+      pageState: classifyPageSignals(signals, profile),
+      httpPageState: profile.http
+        ? classifyPageSignals(
+            readHtmlSignals(html, profile.appointmentUrl, profile),
+            profile
+          )
+        : null,
+      selectors,
+      links,
+      texts: {
+        noAppointments: signals.text.includes(profile.texts.noAppointments),
+        wrongCaptcha: signals.text.includes(profile.texts.wrongCaptcha),
+        blocked: findTexts(profile.texts.blocked),
+        maintenance: findTexts(profile.texts.maintenance),
+      },
+    };
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Parses the bookable days from the month view currently shown in the page.
+ * Each bookable day is a link to appointment_showDay.do carrying a dateStr (DD.MM.YYYY) parameter.
+ * @returns {Promise<Array<{date: string, dateStr: string, url: string}>>} Bookable days sorted by date, with ISO dates.
+ * @throws {Error} If the page is not initialized.
+ */
+async function extractAvailableDays() {
+  if (!state.page) throw new Error("Page is not initialized.");
+  const days = await state.page.evaluate((hrefFragment) => {
+    const seen = new Set();
+    const result = [];
+    for (const link of document.querySelectorAll("a[href]")) {
+      if (!link.href.includes(hrefFragment)) continue;
+      const dateStr = new URL(link.href).searchParams.get("dateStr");
+      if (!dateStr || seen.has(dateStr)) continue;
+      seen.add(dateStr);
+      result.push({ dateStr, url: link.href });
+    }
+    return result;
+  }, state.siteProfile.links.day);
+
+  return days
+    .map((day) => ({
+      ...day,
+      date: moment(day.dateStr, "DD.MM.YYYY").format("YYYY-MM-DD"),
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Fetches a day view (appointment_showDay.do) inside the current browser session
+ * and parses its bookable time slots, without navigating away from the month view.
+ * @param {string} dayUrl - The absolute URL of the day view.
+ * @returns {Promise<Array<{time: string|null, url: string}>>} The bookable time slots.
+ * @throws {Error} If the page is not initialized or the request fails.
+ */
+async function fetchDaySlots(dayUrl) {
+  if (!state.page) throw new Error("Page is not initialized.");
+  return await state.page.evaluate(
+    async (url, hrefFragment) => {
+      const response = await fetch(url, { credentials: "same-origin" });
+      if (!response.ok) {
+        throw new Error(`Day view responded with status ${response.status}`);
+      }
+      const doc = new DOMParser().parseFromString(
+        await response.text(),
+        "text/html"
+      );
+      const timePattern = /\b\d{1,2}:\d{2}\b/;
+      const slots = [];
+      for (const link of doc.querySelectorAll("a[href]")) {
+        const href = new URL(link.getAttribute("href"), url).href;
+        if (!href.includes(hrefFragment)) continue;
+        // The slot time is usually the link text, otherwise in the surrounding block
+        const timeMatch =
+          link.textContent.match(timePattern) ||
+          link.parentElement?.textContent.match(timePattern);
+        slots.push({ time: timeMatch ? timeMatch[0] : null, url: href });
+      }
+      return slots;
+    },
+    dayUrl,
+    state.siteProfile.links.slot
+  );
+}
+
+/**
+ * Collects the bookable days of the month view currently shown, including
+ * the time slots of the first MAX_DAYS_WITH_SLOT_DETAILS days.
+ * A failure to load a day's slots is logged and leaves that day's slots as null.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<Array<{date: string, dateStr: string, url: string, slots: Array<{time: string|null, url: string}>|null}>>} The bookable days.
+ */
+async function collectAvailableDays(signal) {
+  const days = await extractAvailableDays();
+  console.log(`Found ${days.length} bookable day(s) in this month.`);
+
+  const result = [];
+  for (const [index, day] of days.entries()) {
+    if (signal.aborted) throw new Error("Check aborted while loading slots.");
+    let slots = null;
+    if (index < MAX_DAYS_WITH_SLOT_DETAILS) {
+      try {
+        slots = await fetchDaySlots(day.url);
+      } catch (error) {
+        console.warn(
+          `Could not load time slots for ${day.date}: ${error.message}`
+        );
+      }
+    }
+    result.push({ ...day, slots });
+  }
+  return result;
+}
+
+/**
+ * Formats bookable days as message lines, e.g. "📅 Tue 20.05.2025: 09:00, 09:30".
+ * @param {Array<{date: string, slots: Array<{time: string|null}>|null}>} days - The bookable days.
+ * @returns {string} The formatted lines, capped at MAX_DAYS_IN_ALERT days.
+ */
+function formatAvailableDays(days) {
+  if (days.length === 0) {
+    // The month looked available but no day links were found (e.g. changed layout)
+    return "📅 The free dates could not be read from the page.";
+  }
+  const lines = days.slice(0, MAX_DAYS_IN_ALERT).map((day) => {
+    const label = moment(day.date, "YYYY-MM-DD").format("ddd DD.MM.YYYY");
+    if (!day.slots) return `📅 ${label}`;
+    const times = day.slots.map((slot) => slot.time || "?");
+    return `📅 ${label}: ${
+      times.length ? times.join(", ") : "no free times listed"
+    }`;
+  });
+  if (days.length > MAX_DAYS_IN_ALERT) {
+    lines.push(`…and ${days.length - MAX_DAYS_IN_ALERT} more day(s)`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Stores the structured availability of a target in memory and in AVAILABILITY_FILE.
+ * Write failures are logged but never fail the check.
+ * @param {{label: string}} target - The watch target that was checked.
+ * @param {Array<{month: string, monthUrl: string, available: boolean, days: Array<object>}>} months - Per-month results in scan order.
+ */
+async function saveAvailability(target, months) {
+  state.availability[target.label] = {
+    target,
+    checkedAt: new Date().toISOString(),
+    months,
+    days: months.flatMap((month) => month.days), // All bookable days across the scanned months
+  };
+  try {
+    await writeJsonFile(AVAILABILITY_FILE, state.availability);
+  } catch (error) {
+    console.error(`Failed to save availability: ${error.message}`);
+  }
+}
+
+/**
+ * Builds comparable keys for free slots: "YYYY-MM-DD HH:MM" per listed time, the date
+ * alone when the times are unknown, and "month MM.YYYY" for months whose days couldn't be read.
+ * @param {Array<{date: string, slots: Array<{time: string|null}>|null}>} days - The bookable days.
+ * @param {string[]} unreadMonths - Available months without readable days.
+ * @returns {string[]} The sorted slot keys, without duplicates.
+ */
+function getSlotKeys(days, unreadMonths) {
+  const keys = new Set(unreadMonths.map((month) => `month ${month}`));
+  for (const day of days) {
+    if (!day.slots || day.slots.length === 0) {
+      keys.add(day.date);
+      continue;
+    }
+    day.slots.forEach((slot) => keys.add(`${day.date} ${slot.time || "?"}`));
+  }
+  return [...keys].sort();
+}
+
+/**
+ * Tells whether one slot key stands for all the slots of another: a date without times
+ * covers every time of that date, and an unread month every day of that month.
+ * @param {string} general - The less detailed slot key.
+ * @param {string} specific - The more detailed slot key.
+ * @returns {boolean} True if general covers specific.
+ */
+function slotKeyCovers(general, specific) {
+  if (general.startsWith("month ")) {
+    const [month, year] = general.slice("month ".length).split("/");
+    return specific.startsWith(`${year}-${month}-`);
+  }
+  return specific.startsWith(`${general} `);
+}
+
+/**
+ * Tells whether two slot keys can stand for the same slot, so a slot isn't taken for new
+ * or gone only because its times or days could be read in one check and not in the other.
+ * @param {string} a - A slot key from getSlotKeys.
+ * @param {string} b - Another slot key.
+ * @returns {boolean} True if the keys are equal or one covers the other.
+ */
+function slotKeysMatch(a, b) {
+  return a === b || slotKeyCovers(a, b) || slotKeyCovers(b, a);
+}
+
+/**
+ * Formats slot keys for a message, capped at MAX_SLOTS_IN_CHANGE_MESSAGE.
+ * @param {string[]} keys - Slot keys from getSlotKeys.
+ * @returns {string} E.g. "2025-05-20 09:00, 2025-05-21 10:30 …and 3 more".
+ */
+function formatSlotKeys(keys) {
+  const text = keys.slice(0, MAX_SLOTS_IN_CHANGE_MESSAGE).join(", ");
+  return keys.length > MAX_SLOTS_IN_CHANGE_MESSAGE
+    ? `${text} …and ${keys.length - MAX_SLOTS_IN_CHANGE_MESSAGE} more`
+    : text;
+}
+
+/**
+ * Compares the free slots of a target with the ones it was last alerted on. Keys are
+ * matched with slotKeysMatch, so a day whose times are unknown in one of the checks
+ * (a failed day view, or a day beyond MAX_DAYS_WITH_SLOT_DETAILS) doesn't count as changed.
+ * @param {{label: string}} target - The watch target that was checked.
+ * @param {string[]} slotKeys - The free slots found now (see getSlotKeys).
+ * @returns {{added: string[], gone: string[], previous: string[], remaining: string[]}} The slots
+ *   that are new, the ones no longer free, the previously alerted ones and those of them still free.
+ */
+function compareAlertedSlots(target, slotKeys) {
+  const previous = state.alertedSlots[target.label]?.slots || [];
+  const isFree = (key) =>
+    slotKeys.some((slotKey) => slotKeysMatch(key, slotKey));
+  return {
+    added: slotKeys.filter(
+      (key) => !previous.some((previousKey) => slotKeysMatch(key, previousKey))
+    ),
+    gone: previous.filter((key) => !isFree(key)),
+    previous,
+    remaining: previous.filter(isFree),
+  };
+}
+
+/**
+ * Remembers the slots a target was alerted on in ALERTED_SLOTS_FILE.
+ * Write failures are logged but never fail the check.
+ * @param {{label: string}} target - The watch target that was checked.
+ * @param {string[]} slotKeys - The alerted slots that are free now.
+ * @returns {Promise<void>}
+ */
+async function saveAlertedSlots(target, slotKeys) {
+  if (slotKeys.length > 0) {
+    state.alertedSlots[target.label] = {
+      updatedAt: new Date().toISOString(),
+      slots: slotKeys,
+    };
+  } else {
+    delete state.alertedSlots[target.label];
+  }
+  try {
+    await writeJsonFile(ALERTED_SLOTS_FILE, state.alertedSlots);
+  } catch (error) {
+    console.error(`Failed to save alerted slots: ${error.message}`);
+  }
+}
+
+/**
+ * Tells CHAT_ID and the viewers, once and without the alarm, that alerted slots are no longer free.
+ * @param {{label: string}} target - The watch target that was checked.
+ * @param {string[]} gone - The slots that disappeared.
+ * @param {string[]} remaining - The alerted slots that are still free.
+ * @returns {Promise<void>}
+ */
+async function notifySlotsGone(target, gone, remaining) {
+  const message = remaining.length
+    ? `🔄 [${target.label}] Slots changed. No longer free: ${formatSlotKeys(
+        gone
+      )}\nStill free: ${formatSlotKeys(remaining)}`
+    : `👋 [${target.label}] The alerted slots are gone: ${formatSlotKeys(
+        gone
+      )}`;
+  console.log(
+    `[${target.label}] ${gone.length} alerted slot(s) no longer free.`
+  );
+  for (const chatId of getChatIdsWithPermission("viewer")) {
+    await safeSendMessage(message, chatId);
+  }
+}
+
+/**
+ * Loads a new captcha by clicking the website's refresh link and waiting for the image
+ * to change. Falls back to reloading the page if that doesn't work.
+ * @param {string} previousBase64 - The base64 data of the captcha being replaced.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<void>}
+ */
+async function refreshCaptcha(previousBase64, signal) {
+  try {
+    await state.page.click(state.siteProfile.selectors.captchaRefresh);
+    await state.page.waitForFunction(
+      (selector, previous) => {
+        const element = document.querySelector(selector);
+        return element && !element.style.background.includes(previous);
+      },
+      { timeout: CAPTCHA_TIMEOUT_MS, signal },
+      state.siteProfile.selectors.captcha,
+      previousBase64
+    );
+    console.log("🔄 Loaded a new captcha.");
+  } catch (error) {
+    if (signal.aborted) throw error;
+    console.log(
+      `Captcha refresh link didn't load a new captcha (${error.message}). Reloading the page...`
+    );
+    await state.page.reload({ waitUntil: "domcontentloaded" });
+  }
+}
+
+/**
+ * Gets a display label for the month view currently shown in the page.
+ * Uses the month heading if it can be read, otherwise counts forward from the current month.
+ * @param {number} monthIndex - Zero-based index of the month in the scan (0 = current month).
+ * @returns {Promise<string>} The month label, e.g. "05/2025" or "May 2025".
+ */
+async function getShownMonthLabel(monthIndex) {
+  const fallback = moment().add(monthIndex, "months").format("MMMM YYYY");
+  try {
+    const heading = await state.page.$eval(
+      state.siteProfile.selectors.monthHeading,
+      (el) => el.textContent.replace(/\s+/g, " ").trim()
+    );
+    const match = heading.match(/\d{1,2}\/\d{4}|\p{L}+ \d{4}/u);
+    return match ? match[0] : fallback;
+  } catch {
+    return fallback; // Heading missing or layout changed
+  }
+}
+
+/**
+ * Moves the month view forward by one month in the current captcha-validated session.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<boolean>} False if the site offers no further month (no next button), true otherwise.
+ * @throws {Error} If clicking the button or loading the next month fails.
+ */
+async function goToNextMonth(signal) {
+  try {
+    await state.page.waitForSelector(
+      state.siteProfile.selectors.nextMonthButton,
+      {
+        timeout: NEXT_MONTH_BUTTON_TIMEOUT_MS,
+        signal,
+      }
+    );
+  } catch (error) {
+    if (error.name === "TimeoutError") return false; // Last month the site allows
+    throw error;
+  }
+  await new Promise((resolve) => setTimeout(resolve, 1000)); // Small delay
+  await state.page.click(state.siteProfile.selectors.nextMonthButton);
+  await state.page.waitForNetworkIdle({
+    waitUntil: "domcontentloaded", // Wait for DOM content
+    timeout: CAPTCHA_TIMEOUT_MS,
+    signal,
+  }); // Wait for potential AJAX loads
+  console.log("Clicked 'Next Month'.");
+  return true;
+}
+
+let historyFileRecords = 0; // Lines in HISTORY_FILE, including those no longer in state.history
+
+/**
+ * Appends a check record to the history and to HISTORY_FILE.
+ * Write failures are logged but never fail the check.
+ * @param {{startedAt: string, finishedAt: string|null, target: string, captchaAttempts: number, solver: string|null, outcome: string|null, datesFound: string[], error: string|null}} run - The check record.
+ */
+async function recordHistory(run) {
+  const record = {
+    ...run,
+    finishedAt: run.finishedAt ?? new Date().toISOString(),
+    outcome: run.outcome ?? "error",
+  };
+  state.history.push(record);
+  if (state.history.length > MAX_HISTORY_RECORDS) {
+    state.history.splice(0, state.history.length - MAX_HISTORY_RECORDS);
+  }
+  try {
+    await appendHistoryRecord(record);
+  } catch (error) {
+    console.error(`Failed to save check history: ${error.message}`);
+  }
+}
+
+/**
+ * Appends a record to HISTORY_FILE. Once the file holds HISTORY_COMPACT_RECORDS
+ * records, it is first rewritten with only the last MAX_HISTORY_RECORDS, so the
+ * whole history is rewritten once per MAX_HISTORY_RECORDS checks, not on every one.
+ * @param {object} record - The check record.
+ */
+async function appendHistoryRecord(record) {
+  const filePath = path.join(DATA_DIR, HISTORY_FILE);
+  await withDataFileLock(filePath, async () => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    if (historyFileRecords >= HISTORY_COMPACT_RECORDS) {
+      const records = (await readJsonLinesFile(filePath)).slice(
+        -MAX_HISTORY_RECORDS
+      );
+      await fs.writeFile(`${filePath}.tmp`, toJsonLines(records));
+      await fs.rename(`${filePath}.tmp`, filePath);
+      historyFileRecords = records.length;
+    }
+    await fs.appendFile(filePath, toJsonLines([record]));
+    historyFileRecords += 1;
+  });
+}
+
+/**
+ * Loads the check history from HISTORY_FILE, converting the JSON file written by
+ * older versions (LEGACY_HISTORY_FILE) on first boot.
+ * @throws {Error} If a history file exists but cannot be read or converted.
+ */
+async function loadHistory() {
+  const filePath = path.join(DATA_DIR, HISTORY_FILE);
+  let records = await readJsonLinesFile(filePath);
+  if (records.length === 0) {
+    const legacyRecords = await readJsonFile(LEGACY_HISTORY_FILE, []);
+    if (legacyRecords.length > 0) {
+      await fs.writeFile(`${filePath}.tmp`, toJsonLines(legacyRecords));
+      await fs.rename(`${filePath}.tmp`, filePath);
+      await fs.rm(path.join(DATA_DIR, LEGACY_HISTORY_FILE));
+      console.log(
+        `Converted ${legacyRecords.length} check record(s) from ${LEGACY_HISTORY_FILE} to ${HISTORY_FILE}.`
+      );
+      records = legacyRecords;
+    }
+  }
+  historyFileRecords = records.length;
+  state.history = records.slice(-MAX_HISTORY_RECORDS);
+}
+
+/**
+ * Serializes values as JSON lines.
+ * @param {Array<*>} values - The values.
+ * @returns {string} One line per value, each ending in a newline.
+ */
+function toJsonLines(values) {
+  return values.map((value) => `${JSON.stringify(value)}\n`).join("");
+}
+
+/**
+ * Formats a duration in milliseconds as a short human-readable string.
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} E.g. "45s" or "3m 12s".
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+/**
+ * Formats a history record as a single message line.
+ * @param {object} record - The history record.
+ * @returns {string} The formatted line.
+ */
+function formatHistoryRecord(record) {
+  const icons = {
+    available: "‼️",
+    none: "▫️",
+    error: "❌",
+    aborted: "🏃",
+    skipped: "⏭️",
+  };
+  const duration = formatDuration(
+    new Date(record.finishedAt) - new Date(record.startedAt)
+  );
+  let line = `${icons[record.outcome] || "•"} ${toLocalMoment(
+    record.startedAt
+  ).format("MM-DD HH:mm")} ${record.target}: ${record.outcome} (${duration}, ${
+    record.captchaAttempts
+  } captcha(s)${record.solver ? ` via ${record.solver}` : ""}${
+    record.checker === "http" ? ", HTTP" : ""
+  })`;
+  if (record.datesFound.length > 0) {
+    line += `\n    📅 ${record.datesFound.join(", ")}`;
+  }
+  if (record.bookedSlot) {
+    line += `\n    📝 Booked ${record.bookedSlot.date}${
+      record.bookedSlot.time ? ` ${record.bookedSlot.time}` : ""
+    }`;
+  }
+  if (record.error && record.outcome === "error") {
+    line += `\n    ⚠️ ${record.error.substring(0, 200)}`;
+  }
+  if (record.snapshot) {
+    // HTTP checks save the HTML only
+    line += `\n    📸 ${SNAPSHOT_DIR}/${record.snapshot}.${
+      record.checker === "http" ? "html" : "png"
+    }`;
+  }
+  return line;
+}
+
+/**
+ * Counts checks and checks that found appointments per hour of day (in the configured timezone).
+ * @param {Array<object>} [records=state.history] - The history records to count.
+ * @returns {Array<{checks: number, available: number}>} 24 entries, indexed by hour.
+ */
+function getHourlySlotStats(records = state.history) {
+  const hours = Array.from({ length: 24 }, () => ({ checks: 0, available: 0 }));
+  for (const record of records) {
+    if (record.outcome !== "available" && record.outcome !== "none") continue;
+    const hour = toLocalMoment(record.startedAt).hour();
+    hours[hour].checks++;
+    if (record.outcome === "available") hours[hour].available++;
+  }
+  return hours;
+}
+
+/**
+ * Formats per-month scan results as message lines, one line per month.
+ * @param {Array<{month: string, available: boolean, days: Array<object>}>} months - Per-month results in scan order.
+ * @returns {string} The formatted lines.
+ */
+function formatMonthSummary(months) {
+  return months
+    .map((result) => {
+      if (!result.available) return `▫️ ${result.month}: no appointments`;
+      const count = result.days.length;
+      return `✅ ${result.month}: ${
+        count ? `${count} bookable day(s)` : "appointments available"
+      }`;
+    })
+    .join("\n");
+}
+
+/**
+ * Reads the base64 image data of a captcha element.
+ * @param {string} selector - The captcha element, whose background holds the image.
+ * @returns {Promise<string>} The base64 data, without the 'data:image/...;base64,' prefix.
+ * @throws {Error} If the element has no base64 background.
+ */
+async function readCaptchaImage(selector) {
+  const base64 = await state.page.$eval(selector, (el) => {
+    const bg = el.style.background;
+    const match = bg.match(/base64,([^"]+)/);
+    // Return only the base64 part, without the prefix
+    return match ? match[1] : null;
+  });
+  if (!base64) {
+    throw new Error("Could not extract base64 data from captcha element.");
+  }
+  return base64;
+}
+
+/**
+ * Records the website's verdict on a submitted captcha: solver statistics, the
+ * incorrect-captcha report, the captcha archive and the leaderboard.
+ * @param {string} base64Image - The base64 encoded image data.
+ * @param {{text: string, solver: string, taskId?: number, solvedBy?: object}} solution - The submitted solution.
+ * @param {boolean} isAccepted - Whether the website accepted the solution.
+ * @param {object} target - The watch target the captcha belongs to.
+ * @returns {Promise<void>}
+ */
+async function recordCaptchaVerdict(base64Image, solution, isAccepted, target) {
+  if (isAccepted) {
+    await updateSolverStats(solution.solver, { correct: 1 });
+  } else {
+    await reportIncorrectCaptcha(solution);
+  }
+  await archiveCaptcha(base64Image, solution, isAccepted, target);
+  await updateLeaderboard(solution, isAccepted);
+}
+
+// --- HTTP Checking ---
+// In HTTP mode a check loads the pages with plain requests, keeping the session cookie
+// and parsing the HTML, so no browser is needed and several targets are checked at once.
+// A failed HTTP check is retried in the browser, which also does the booking.
+
+/**
+ * Describes the check mode for the startup message and /checkmode.
+ * @returns {string} E.g. "http, 3 targets at once, browser as fallback".
+ */
+function describeCheckMode() {
+  if (state.checkMode !== "http") return "browser";
+  return `http, ${httpCheckConcurrency} target(s) at once, browser as fallback${
+    state.siteProfile.http
+      ? ""
+      : ` (⚠️ site profile ${state.siteProfileName} has no http section, so every check falls back)`
+  }`;
+}
+
+/**
+ * Decodes the HTML entities that appear in the appointment pages' texts and attributes.
+ * @param {string} text - The HTML text.
+ * @returns {string} The decoded text.
+ */
+function decodeHtmlEntities(text) {
+  const named = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'",
+    nbsp: " ",
+    auml: "ä",
+    ouml: "ö",
+    uuml: "ü",
+    Auml: "Ä",
+    Ouml: "Ö",
+    Uuml: "Ü",
+    szlig: "ß",
+  };
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code =
+        name[1].toLowerCase() === "x"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return named[name] ?? entity;
+  });
+}
+
+/**
+ * Reads the visible text of an HTML page, roughly as innerText would: scripts and styles
+ * are dropped and block elements start a new line.
+ * @param {string} html - The page HTML.
+ * @returns {string} The text.
+ */
+function getHtmlText(html) {
+  return decodeHtmlEntities(
+    html
+      .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<\/?(br|p|div|h\d|li|tr|table|form|fieldset)\b[^>]*>/gi, "\n")
+      .replace(/<[^>]*>/g, "")
+  )
+    .replace(/[ \t\r\f\v]+/g, " ")
+    .replace(/ ?\n[\s]*/g, "\n")
+    .trim();
+}
+
+/**
+ * Parses the attributes of an HTML tag.
+ * @param {string} attributeText - What follows the tag name, e.g. ` name="a" value='b' checked`.
+ * @returns {Object<string, string>} The decoded attribute values by lowercase name.
+ */
+function parseHtmlAttributes(attributeText) {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  for (const match of attributeText.matchAll(pattern)) {
+    attributes[match[1].toLowerCase()] = decodeHtmlEntities(
+      match[2] ?? match[3] ?? match[4] ?? ""
+    );
+  }
+  return attributes;
+}
+
+/**
+ * Finds the links of an HTML page.
+ * @param {string} html - The page HTML.
+ * @param {string} pageUrl - The page's URL, which relative links are resolved against.
+ * @returns {Array<{url: string, text: string, index: number, end: number}>} The links in page
+ *   order, with their text and where they start and end in the HTML.
+ */
+function findHtmlLinks(html, pageUrl) {
+  const links = [];
+  for (const match of html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi)) {
+    const { href } = parseHtmlAttributes(match[1]);
+    if (!href) continue;
+    let url;
+    try {
+      url = new URL(href, pageUrl).href;
+    } catch {
+      url = href; // Unusual hrefs are still matched by their text
+    }
+    links.push({
+      url,
+      text: getHtmlText(match[2]),
+      index: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return links;
+}
+
+/**
+ * Reads a form of an HTML page: where it is submitted to, the values it would submit and
+ * the captcha image it shows (as the background of an element, like the browser checks read it).
+ * @param {string} html - The page HTML.
+ * @param {string} formId - The form's id attribute.
+ * @param {string} pageUrl - The page's URL, which the form action is resolved against.
+ * @returns {{action: string, method: string, fields: Object<string, string>, captchaImage: string|null}|null}
+ *   The form, or null if the page has no such form.
+ */
+function findHtmlForm(html, formId, pageUrl) {
+  for (const match of html.matchAll(/<form\b([^>]*)>([\s\S]*?)<\/form\s*>/gi)) {
+    const attributes = parseHtmlAttributes(match[1]);
+    if (attributes.id !== formId) continue;
+    const body = match[2];
+    const fields = {};
+    let hasSubmit = false;
+    for (const input of body.matchAll(/<(input|button)\b([^>]*)>/gi)) {
+      const { name, value = "", type = "text" } = parseHtmlAttributes(input[2]);
+      if (!name) continue;
+      const inputType = type.toLowerCase();
+      if (inputType === "submit" || input[1].toLowerCase() === "button") {
+        // Only the button that is pressed is submitted
+        if (hasSubmit) continue;
+        hasSubmit = true;
+      } else if (
+        (inputType === "checkbox" || inputType === "radio") &&
+        !/\bchecked\b/i.test(input[2])
+      ) {
+        continue;
+      }
+      fields[name] = value;
+    }
+    const captchaMatch = body.match(/base64,([A-Za-z0-9+/=]+)/);
+    return {
+      action: new URL(attributes.action || pageUrl, pageUrl).href,
+      method: (attributes.method || "get").toLowerCase(),
+      fields,
+      captchaImage: captchaMatch ? captchaMatch[1] : null,
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads what tells the page states apart from a page's HTML, like readPageSignals does in the browser.
+ * @param {string} html - The page HTML.
+ * @param {string} pageUrl - The page's URL.
+ * @param {ReturnType<typeof normalizeSiteProfile>} [profile=state.siteProfile] - The site profile to read it with.
+ * @returns {{text: string, hasCaptcha: boolean, hasDayLinks: boolean}} The page signals.
+ */
+function readHtmlSignals(html, pageUrl, profile = state.siteProfile) {
+  const captchaForm =
+    profile.http && findHtmlForm(html, profile.http.captchaForm, pageUrl);
+  return {
+    text: getHtmlText(html),
+    hasCaptcha: !!captchaForm?.captchaImage,
+    hasDayLinks: findHtmlLinks(html, pageUrl).some((link) =>
+      link.url.includes(profile.links.day)
+    ),
+  };
+}
+
+/**
+ * Creates the session of an HTTP check: the cookies the site sets (which carry the
+ * captcha validation) and the last page loaded. Cookies are kept per host and only sent
+ * back to the host that set them, so a redirect elsewhere doesn't get the session.
+ * @returns {{cookies: Map<string, Map<string, string>>, page: {url: string, html: string}|null}} The session.
+ */
+function createHttpSession() {
+  return { cookies: new Map(), page: null };
+}
+
+/**
+ * Loads a page in an HTTP session, following redirects and keeping the cookies. The page
+ * becomes the session's current page.
+ * @param {ReturnType<typeof createHttpSession>} session - The session.
+ * @param {string} url - The URL to load.
+ * @param {{signal: AbortSignal, form?: Object<string, string>, expected?: string}} options - The
+ *   AbortSignal, the fields to post (a GET without them), and what the page should be (for errors).
+ * @returns {Promise<{url: string, html: string}>} The final URL and the HTML.
+ * @throws {Error} If the request fails, the site blocks it (with `error.pageState`) or the check is aborted.
+ */
+async function requestHttpPage(session, url, { signal, form, expected }) {
+  let method = form ? "post" : "get";
+  let data = form ? new URLSearchParams(form).toString() : undefined;
+  for (let redirects = 0; ; redirects++) {
+    const { host } = new URL(url);
+    if (!session.cookies.has(host)) session.cookies.set(host, new Map());
+    const cookies = session.cookies.get(host);
+    let response;
+    try {
+      response = await axios.request({
+        url,
+        method,
+        data,
+        signal,
+        timeout: HTTP_REQUEST_TIMEOUT_MS,
+        maxRedirects: 0, // Followed below, so every response's cookies are kept
+        responseType: "text",
+        transformResponse: (body) => body,
+        validateStatus: () => true,
+        headers: {
+          "User-Agent": BROWSER_USER_AGENT,
+          ...(cookies.size > 0 && {
+            Cookie: [...cookies]
+              .map(([name, value]) => `${name}=${value}`)
+              .join("; "),
+          }),
+          ...(data && {
+            "Content-Type": "application/x-www-form-urlencoded",
+          }),
+        },
+      });
+    } catch (error) {
+      if (signal.aborted)
+        throw new Error("Check aborted while loading a page.");
+      throw error;
+    }
+
+    for (const cookie of response.headers["set-cookie"] || []) {
+      const [pair] = cookie.split(";");
+      const separator = pair.indexOf("=");
+      if (separator < 1) continue;
+      const name = pair.slice(0, separator).trim();
+      const value = pair.slice(separator + 1).trim();
+      if (value) cookies.set(name, value);
+      else cookies.delete(name);
+    }
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects >= MAX_HTTP_REDIRECTS) {
+        throw new Error(`Too many redirects loading ${expected}`);
+      }
+      url = new URL(location, url).href;
+      if (response.status !== 307 && response.status !== 308) {
+        method = "get";
+        data = undefined;
+      }
+      continue;
+    }
+    if (BLOCKED_HTTP_STATUSES.includes(response.status)) {
+      throw createPageStateError("blocked", expected);
+    }
+    if (response.status >= 400) {
+      throw new Error(
+        `Loading ${expected} failed with status ${response.status}`
+      );
+    }
+    session.page = { url, html: String(response.data ?? "") };
+    return session.page;
+  }
+}
+
+/**
+ * Classifies the current page of an HTTP session.
+ * @param {ReturnType<typeof createHttpSession>} session - The session.
+ * @returns {string} The page state (see classifyPageSignals).
+ */
+function getHttpPageState(session) {
+  return classifyPageSignals(
+    readHtmlSignals(session.page.html, session.page.url)
+  );
+}
+
+/**
+ * Parses the bookable days of the month page an HTTP session shows, and loads the time slots
+ * of the first MAX_DAYS_WITH_SLOT_DETAILS days. A failure to load a day's slots is logged and
+ * leaves that day's slots as null. The month page stays the session's current page.
+ * @param {ReturnType<typeof createHttpSession>} session - The session.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<Array<{date: string, dateStr: string, url: string, slots: Array<{time: string|null, url: string}>|null}>>}
+ *   The bookable days sorted by date, as collectAvailableDays returns them.
+ */
+async function collectAvailableDaysOverHttp(session, signal) {
+  const monthPage = session.page;
+  const seen = new Set();
+  const days = [];
+  for (const link of findHtmlLinks(monthPage.html, monthPage.url)) {
+    if (!link.url.includes(state.siteProfile.links.day)) continue;
+    let dateStr = null;
+    try {
+      dateStr = new URL(link.url).searchParams.get("dateStr");
+    } catch {
+      // Not a URL
+    }
+    if (!dateStr || seen.has(dateStr)) continue;
+    seen.add(dateStr);
+    days.push({
+      dateStr,
+      url: link.url,
+      date: moment(dateStr, "DD.MM.YYYY").format("YYYY-MM-DD"),
+    });
+  }
+  days.sort((a, b) => a.date.localeCompare(b.date));
+  console.log(`Found ${days.length} bookable day(s) in this month.`);
+
+  const timePattern = /\b\d{1,2}:\d{2}\b/;
+  const result = [];
+  try {
+    for (const [index, day] of days.entries()) {
+      if (signal.aborted) throw new Error("Check aborted while loading slots.");
+      let slots = null;
+      if (index < MAX_DAYS_WITH_SLOT_DETAILS) {
+        try {
+          const dayPage = await requestHttpPage(session, day.url, {
+            signal,
+            expected: `the day view of ${day.date}`,
+          });
+          slots = [];
+          let previousEnd = 0;
+          for (const link of findHtmlLinks(dayPage.html, dayPage.url)) {
+            if (!link.url.includes(state.siteProfile.links.slot)) continue;
+            // The slot time is usually the link text, otherwise the last one before the link
+            const timesBefore =
+              getHtmlText(dayPage.html.slice(previousEnd, link.index)).match(
+                new RegExp(timePattern, "g")
+              ) || [];
+            const time =
+              link.text.match(timePattern)?.[0] || timesBefore.at(-1) || null;
+            slots.push({ time, url: link.url });
+            previousEnd = link.end;
+          }
+        } catch (error) {
+          if (signal.aborted) throw error;
+          console.warn(
+            `Could not load time slots for ${day.date}: ${error.message}`
+          );
+        }
+      }
+      result.push({ ...day, slots });
+    }
+  } finally {
+    session.page = monthPage;
+  }
+  return result;
+}
+
+/**
+ * Finds the link from the month page an HTTP session shows to the following month.
+ * Month links lead to the appointment page with a dateStr (DD.MM.YYYY) in the month they show.
+ * @param {ReturnType<typeof createHttpSession>} session - The session.
+ * @param {moment.Moment} shownMonth - The month the page shows.
+ * @returns {{url: string, month: moment.Moment}|null} The nearest later month, or null if the site offers none.
+ */
+function findNextMonthLink(session, shownMonth) {
+  const monthPath = new URL(state.siteProfile.appointmentUrl).pathname;
+  let next = null;
+  for (const link of findHtmlLinks(session.page.html, session.page.url)) {
+    let url;
+    try {
+      url = new URL(link.url);
+    } catch {
+      continue;
+    }
+    const dateStr = url.searchParams.get("dateStr");
+    if (url.pathname !== monthPath || !dateStr) continue;
+    const month = moment(dateStr, "DD.MM.YYYY", true).startOf("month");
+    if (!month.isValid() || !month.isAfter(shownMonth)) continue;
+    if (!next || month.isBefore(next.month)) next = { url: link.url, month };
+  }
+  return next;
+}
+
+/**
+ * Loads the appointment page of a target with plain HTTP requests, gets past the captcha and
+ * scans the month views in the same session, like scanMonthsInBrowser does in the browser.
+ * @param {{label: string, locationCode: string, realmId: string, categoryId: string}} target - The watch target to check.
+ * @param {object} run - The history record of the check (captcha attempts and solver are added).
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @param {ReturnType<typeof createHttpSession>} session - The session of the check.
+ * @returns {Promise<{months: Array<{month: string, monthUrl: string, available: boolean, days: Array<object>}>, scanNote: string}>}
+ *   The scanned months, and a note if fewer than state.monthsAhead could be scanned.
+ * @throws {Error} If the site profile has no http section, or as the browser check would.
+ */
+async function scanMonthsOverHttp(target, run, signal, session) {
+  const { http } = state.siteProfile;
+  if (!http) {
+    throw new Error(
+      `Site profile ${state.siteProfileName} has no http section for HTTP checks`
+    );
+  }
+  const appointmentUrl = buildAppointmentUrl(target);
+
+  // 1. Load the appointment page
+  setPhase(target, "loading the appointment page over HTTP");
+  console.log(`Requesting ${appointmentUrl}...`);
+  const loadCaptchaPage = () =>
+    requestHttpPage(session, appointmentUrl, {
+      signal,
+      expected: "the captcha",
+    });
+  await loadCaptchaPage();
+
+  // 2. Solve Captcha Loop
+  const captchaStates = ["captcha", "wrongCaptcha"];
+  let pageState = getHttpPageState(session);
+  if (![...captchaStates, "noSlots", "slots"].includes(pageState)) {
+    throw createPageStateError(pageState, "the captcha");
+  }
+  let captchaAttempts = 0;
+  while (
+    captchaStates.includes(pageState) &&
+    captchaAttempts < MAX_CAPTCHA_ATTEMPTS
+  ) {
+    if (signal.aborted)
+      throw new Error("Check aborted before getting captcha.");
+    const form = findHtmlForm(
+      session.page.html,
+      http.captchaForm,
+      session.page.url
+    );
+    run.captchaAttempts++;
+
+    let solution;
+    try {
+      setPhase(
+        target,
+        `solving captcha ${captchaAttempts + 1} of ${MAX_CAPTCHA_ATTEMPTS}`
+      );
+      solution = await solveCaptchaWithChain(form.captchaImage, signal);
+      run.solver = solution.solver;
+    } catch (captchaError) {
+      if (signal.aborted || captchaError.captchaAction === "skip")
+        throw captchaError;
+      if (captchaError.captchaAction !== "refresh") {
+        console.error(`Captcha solving failed: ${captchaError.message}.`);
+        await safeSendMessage(
+          `⚠️ [${target.label}] Captcha solving failed: ${captchaError.message}. Retrying with a new captcha.`
+        );
+        captchaAttempts++; // A refresh is not counted as a failed attempt
+      }
+      // Loading the page again shows a new captcha
+      await loadCaptchaPage();
+      pageState = getHttpPageState(session);
+      continue;
+    }
+
+    console.log(`Submitting captcha: ${solution.text}`);
+    const fields = { ...form.fields, [http.captchaField]: solution.text };
+    await requestHttpPage(
+      session,
+      form.method === "post"
+        ? form.action
+        : `${form.action}${
+            form.action.includes("?") ? "&" : "?"
+          }${new URLSearchParams(fields)}`,
+      {
+        signal,
+        form: form.method === "post" ? fields : undefined,
+        expected: "the month view",
+      }
+    );
+    pageState = getHttpPageState(session);
+
+    if (captchaStates.includes(pageState)) {
+      console.log(
+        `❌ Submitted captcha "${solution.text}" was wrong. The website should show a new one.`
+      );
+      await safeSendMessage(
+        `❌ [${target.label}] Submitted captcha "${solution.text}" was wrong. The website should have loaded a new captcha. Attempting to solve the new one.`
+      );
+      await recordCaptchaVerdict(form.captchaImage, solution, false, target);
+      captchaAttempts++;
+      continue;
+    }
+    if (pageState === "noSlots" || pageState === "slots") {
+      console.log("✅ Captcha accepted.");
+      await recordCaptchaVerdict(form.captchaImage, solution, true, target);
+    }
+  }
+  if (captchaAttempts >= MAX_CAPTCHA_ATTEMPTS) {
+    throw new Error(
+      `Failed to solve captcha after ${MAX_CAPTCHA_ATTEMPTS} attempts.`
+    );
+  }
+
+  // 3. Scan the current month and the following months in the same session
+  const months = [];
+  let scanNote = "";
+  const firstDateStr = new URL(session.page.url).searchParams.get("dateStr");
+  let shownMonth = (
+    firstDateStr ? moment(firstDateStr, "DD.MM.YYYY") : moment()
+  ).startOf("month");
+  for (let monthIndex = 0; monthIndex < state.monthsAhead; monthIndex++) {
+    if (monthIndex > 0) {
+      // 4. Move to the next month
+      const next = findNextMonthLink(session, shownMonth);
+      if (!next) {
+        console.log("No further months offered by the site.");
+        scanNote = "\n(The site offers no further months.)";
+        break;
+      }
+      try {
+        await requestHttpPage(session, next.url, {
+          signal,
+          expected: `the month view of ${next.month.format("MM/YYYY")}`,
+        });
+      } catch (error) {
+        if (signal.aborted || error.pageState) throw error;
+        console.error(`Error trying to open the next month: ${error.message}`);
+        scanNote = `\n⚠️ Could not open month ${monthIndex + 1} (${
+          error.message
+        }).`;
+        break;
+      }
+      shownMonth = next.month;
+      pageState = getHttpPageState(session);
+    }
+
+    setPhase(
+      target,
+      `checking month ${monthIndex + 1} of ${state.monthsAhead}`
+    );
+    const month = shownMonth.format("MM/YYYY");
+    console.log(`Checking ${month} for appointments...`);
+    if (pageState !== "noSlots" && pageState !== "slots") {
+      throw createPageStateError(pageState, `the month view of ${month}`);
+    }
+    const noAppointments = pageState === "noSlots";
+
+    const days = noAppointments
+      ? []
+      : await collectAvailableDaysOverHttp(session, signal);
+    if (!noAppointments) console.log(`‼️ Appointments found for ${month}!`);
+    months.push({
+      month,
+      monthUrl: session.page.url,
+      available: !noAppointments,
+      days,
+    });
+  }
+
+  return { months, scanNote };
+}
+
+// --- Auto-Booking ---
+
+/**
+ * Lists the applicant profile fields that are still empty.
+ * @returns {string[]} The missing field names.
+ */
+function getMissingApplicantFields() {
+  return Object.keys(APPLICANT_FIELDS).filter(
+    (field) => !state.applicant[field]
+  );
+}
+
+/**
+ * Fills the appointment form with the applicant profile. Selects are matched by
+ * option text or value, ignoring case.
+ * @returns {Promise<void>}
+ * @throws {Error} If a form field is missing or a select has no matching option.
+ */
+async function fillApplicantForm() {
+  for (const [field, { label, selectors }] of Object.entries(
+    APPLICANT_FIELDS
+  )) {
+    for (const selector of selectors) {
+      const error = await state.page.evaluate(
+        (selector, value) => {
+          const element = document.querySelector(selector);
+          if (!element) return "not found";
+          if (element.tagName === "SELECT") {
+            const option = [...element.options].find((option) =>
+              [option.text, option.value].some(
+                (text) => text.trim().toLowerCase() === value.toLowerCase()
+              )
+            );
+            if (!option) return `no option "${value}"`;
+            element.value = option.value;
+          } else {
+            element.value = value;
+          }
+          element.dispatchEvent(new Event("input", { bubbles: true }));
+          element.dispatchEvent(new Event("change", { bubbles: true }));
+          return null;
+        },
+        selector,
+        state.applicant[field]
+      );
+      if (error) {
+        throw new Error(`Form field ${label} (${selector}): ${error}`);
+      }
+    }
+  }
+}
+
+/**
+ * Books the first free time slot: opens its appointment form, fills it from the
+ * applicant profile, solves the form's captcha with the solver chain and submits it.
+ * The confirmation page is sent to Telegram as a screenshot and as text.
+ * @param {Array<{date: string, slots: Array<{time: string|null, url: string}>|null}>} days - The bookable days, earliest first.
+ * @param {object} target - The watch target being checked.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<{date: string, time: string|null}>} The booked slot.
+ * @throws {Error} If no slot can be opened, the form is rejected, or the captcha isn't solved.
+ */
+async function autoBookSlot(days, target, signal) {
+  const day = days.find((candidate) => candidate.slots?.length > 0);
+  if (!day) throw new Error("No time slot links found on the bookable days.");
+  const slot = day.slots[0];
+  const slotLabel = `${day.date}${slot.time ? ` ${slot.time}` : ""}`;
+
+  setPhase(target, `booking ${slotLabel}`);
+  console.log(`📝 Auto-booking ${slotLabel} for ${target.label}...`);
+  await state.page.goto(slot.url, {
+    waitUntil: "domcontentloaded",
+    timeout: PAGE_NAVIGATION_TIMEOUT_MS,
+  });
+
+  const { selectors } = state.siteProfile;
+  for (let attempt = 1; attempt <= MAX_BOOKING_CAPTCHA_ATTEMPTS; attempt++) {
+    if (signal.aborted) throw new Error("Booking aborted.");
+    await state.page.waitForSelector(selectors.bookingForm, {
+      timeout: PAGE_NAVIGATION_TIMEOUT_MS,
+      signal,
+    });
+    await fillApplicantForm();
+
+    const base64 = await readCaptchaImage(selectors.bookingCaptcha);
+    let solution;
+    try {
+      solution = await solveCaptchaWithChain(base64, signal);
+    } catch (captchaError) {
+      if (captchaError.captchaAction === "refresh") {
+        await state.page.reload({ waitUntil: "domcontentloaded" });
+        continue;
+      }
+      throw captchaError;
+    }
+    if (signal.aborted) throw new Error("Booking aborted.");
+
+    await state.page.type(selectors.bookingCaptchaInput, solution.text);
+    await Promise.all([
+      state.page.click(selectors.bookingSubmit),
+      state.page.waitForNavigation({
+        waitUntil: "domcontentloaded",
+        timeout: PAGE_NAVIGATION_TIMEOUT_MS,
+      }),
+    ]);
+
+    const isWrongCaptcha = await state.page.evaluate(
+      (text) => document.body.innerText.includes(text),
+      state.siteProfile.texts.wrongCaptcha
+    );
+    await recordCaptchaVerdict(base64, solution, !isWrongCaptcha, target);
+    if (isWrongCaptcha) {
+      console.log(
+        `❌ Form captcha "${solution.text}" was wrong (attempt ${attempt} of ${MAX_BOOKING_CAPTCHA_ATTEMPTS}).`
+      );
+      continue;
+    }
+
+    // The form is shown again with messages if a field was rejected
+    if (await state.page.$(selectors.bookingForm)) {
+      const errors = await state.page.$$eval(selectors.bookingError, (items) =>
+        items.map((item) => item.textContent.trim()).filter(Boolean)
+      );
+      throw new Error(
+        `The appointment form was rejected${
+          errors.length ? `: ${errors.join("; ")}` : ""
+        }`
+      );
+    }
+
+    const screenshot = Buffer.from(
+      await state.page.screenshot({ fullPage: true })
+    );
+    const confirmationText = await state.page.evaluate(
+      () => document.body.innerText
+    );
+    await safeSendPhoto(screenshot, {
+      caption: `✅ [${target.label}] Booked ${slotLabel}. Confirmation page:`,
+    });
+    await safeSendMessage(
+      `📄 [${
+        target.label
+      }] Confirmation page:\n${confirmationText.trim()}`.substring(0, 4000)
+    );
+    console.log(`✅ Auto-booked ${slotLabel} for ${target.label}.`);
+    return { date: day.date, time: slot.time };
+  }
+
+  throw new Error(
+    `Failed to solve the form captcha after ${MAX_BOOKING_CAPTCHA_ATTEMPTS} attempts.`
+  );
+}
+
+/**
+ * Books the first free time slot while the alert goes out, in the check's browser page
+ * or, for an HTTP check, with bookSlotInBrowser. Tells CHAT_ID how it went; after a
+ * booking, auto-booking switches off so later checks don't book again.
+ * @param {Array<{date: string, slots: Array<{time: string|null, url: string}>|null}>} days - The bookable days, earliest first.
+ * @param {object} target - The watch target being checked.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @param {object} run - The history record of the check (the booked slot is added).
+ * @param {ReturnType<typeof createHttpSession>|null} httpSession - The session of an HTTP check.
+ * @returns {Promise<void>}
+ * @throws {Error} Only if the check is aborted; booking failures are reported instead.
+ */
+async function bookFirstSlot(days, target, signal, run, httpSession) {
+  try {
+    const booking = httpSession
+      ? await bookSlotInBrowser(days, target, signal, httpSession)
+      : await autoBookSlot(days, target, signal);
+    run.bookedSlot = booking;
+    state.isAutoBookEnabled = false;
+    await persistSetting("isAutoBookEnabled");
+    await safeSendMessage(
+      `✅ [${target.label}] Auto-booked ${booking.date}${
+        booking.time ? ` ${booking.time}` : ""
+      }. Confirm it via the email from the embassy. Auto-booking is now off.`
+    );
+  } catch (bookingError) {
+    if (signal.aborted) throw bookingError;
+    console.error(`❌ Auto-booking failed: ${bookingError.message}`);
+    await safeSendMessage(
+      `⚠️ [${target.label}] Auto-booking failed: ${bookingError.message}. Book manually!`
+    );
+  }
+}
+
+/**
+ * Books the first free time slot found by an HTTP check: the browser takes over the
+ * check's session cookies and books it with autoBookSlot.
+ * @param {Array<{date: string, slots: Array<{time: string|null, url: string}>|null}>} days - The bookable days, earliest first.
+ * @param {object} target - The watch target being checked.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @param {ReturnType<typeof createHttpSession>} session - The session of the HTTP check.
+ * @returns {Promise<{date: string, time: string|null}>} The booked slot.
+ * @throws {Error} If auto-booking was switched off meanwhile, or as autoBookSlot does.
+ */
+async function bookSlotInBrowser(days, target, signal, session) {
+  return withBrowserLock(async () => {
+    // Another target may have booked while this one waited for the browser
+    if (!state.isAutoBookEnabled) {
+      throw new Error("Auto-booking was switched off in the meantime.");
+    }
+    setPhase(target, "starting browser");
+    const browser = await acquireBrowser();
+    await browser.setCookie(
+      ...[...session.cookies].flatMap(([host, cookies]) =>
+        [...cookies].map(([name, value]) => ({
+          name,
+          value,
+          domain: new URL(`http://${host}`).hostname, // Without the port
+          path: "/",
+        }))
+      )
+    );
+    state.page = await browser.newPage();
+    try {
+      await state.page.setUserAgent(BROWSER_USER_AGENT);
+      await state.page.setViewport({ width: 1280, height: 800 });
+      return await autoBookSlot(days, target, signal);
+    } finally {
+      await closeCheckPage();
+    }
+  });
+}
+
+/**
+ * Records what the check of a target is doing, for /status. Targets checked side by
+ * side in HTTP mode each have their own phase.
+ * @param {{label: string}} target - The watch target being checked.
+ * @param {string|null} phase - A short description, or null when its check is over.
+ */
+function setPhase(target, phase) {
+  if (phase === null) {
+    delete state.activeChecks[target.label];
+    return;
+  }
+  state.activeChecks[target.label] = { phase, phaseStartedAt: Date.now() };
+}
+
+/**
+ * Opens the appointment page of a target in the browser, gets past the captcha and scans
+ * the month views in the same session.
+ * @param {{label: string, locationCode: string, realmId: string, categoryId: string}} target - The watch target to check.
+ * @param {object} run - The history record of the check (captcha attempts and solver are added).
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<{months: Array<{month: string, monthUrl: string, available: boolean, days: Array<object>}>, scanNote: string}>}
+ *   The scanned months, and a note if fewer than state.monthsAhead could be scanned.
+ */
+async function scanMonthsInBrowser(target, run, signal) {
+  const appointmentUrl = buildAppointmentUrl(target);
+  // 1. Get the browser kept warm between checks and open a page
+  setPhase(target, "starting browser");
+  const browser = await acquireBrowser();
+  state.browserRuns++;
+  state.page = await browser.newPage();
+  await state.page.setUserAgent(BROWSER_USER_AGENT);
+  await state.page.setViewport({ width: 1280, height: 800 }); // Set viewport
+
+  // 2. Navigate to the URL
+  setPhase(target, "loading the appointment page");
+  console.log(`Navigating to ${appointmentUrl}...`);
+  const response = await state.page.goto(appointmentUrl, {
+    waitUntil: "domcontentloaded",
+    timeout: PAGE_NAVIGATION_TIMEOUT_MS,
+  });
+  if (BLOCKED_HTTP_STATUSES.includes(response?.status())) {
+    throw createPageStateError("blocked", "the captcha");
+  }
+  console.log("Navigation successful.");
+
+  // Check if aborted after navigation
+  if (signal.aborted) throw new Error("Check aborted after navigation.");
+
+  // 3. Solve Captcha Loop
+  let captchaAttempts = 0;
+
+  // The session kept by the browser may still be validated: then the month view shows at once
+  const captchaStates = ["captcha", "wrongCaptcha"];
+  const initialPageState = await detectPageState(
+    [...captchaStates, "noSlots", "slots"],
+    signal,
+    CAPTCHA_TIMEOUT_MS
+  );
+  if (!captchaStates.includes(initialPageState)) {
+    if (initialPageState !== "noSlots" && initialPageState !== "slots") {
+      throw createPageStateError(initialPageState, "the captcha");
+    }
+    console.log("🍪 The session is still validated, no captcha needed.");
+  }
+
+  while (
+    captchaStates.includes(initialPageState) &&
+    captchaAttempts < MAX_CAPTCHA_ATTEMPTS
+  ) {
+    if (signal.aborted)
+      throw new Error("Check aborted before getting captcha.");
+
+    // Wait for captcha element (this will wait for the initial or a new captcha after wrong input)
+    const captchaPageState = await detectPageState(
+      captchaStates,
+      signal,
+      CAPTCHA_TIMEOUT_MS
+    );
+    if (!captchaStates.includes(captchaPageState)) {
+      throw createPageStateError(captchaPageState, "the captcha");
+    }
+
+    // Extract base64 image data
+    const base64 = await readCaptchaImage(state.siteProfile.selectors.captcha);
+
+    run.captchaAttempts++;
+
+    // Solve the captcha with the solver chain (automated services, then manual input)
+    let solution = null;
+    let solvedText = null;
+    try {
+      setPhase(
+        target,
+        `solving captcha ${captchaAttempts + 1} of ${MAX_CAPTCHA_ATTEMPTS}`
+      );
+      solution = await solveCaptchaWithChain(base64, signal);
+      solvedText = solution.text;
+      run.solver = solution.solver;
+    } catch (captchaError) {
+      if (signal.aborted || captchaError.captchaAction === "skip")
+        throw captchaError;
+      if (captchaError.captchaAction === "refresh") {
+        await refreshCaptcha(base64, signal);
+        continue; // Not counted as a failed attempt
+      }
+      console.error(`Captcha solving failed: ${captchaError.message}.`);
+      await safeSendMessage(
+        `⚠️ [${target.label}] Captcha solving failed: ${captchaError.message}. Retrying with a new captcha.`
+      );
+      // Reload the page to get a fresh captcha for the next attempt
+      try {
+        await state.page.reload({ waitUntil: "domcontentloaded" });
+        console.log("Reloaded page for a new captcha.");
+      } catch (reloadError) {
+        console.error(
+          `Error reloading page after captcha failure: ${reloadError.message}`
+        );
+      }
+      captchaAttempts++; // Increment attempt counter on failure
+      continue; // Loop back to try again
+    }
+
+    if (signal.aborted) throw new Error("Check aborted after solving captcha.");
+
+    console.log(`Submitting captcha: ${solvedText}`);
+    await state.page.type(state.siteProfile.selectors.captchaInput, solvedText);
+    await Promise.all([
+      state.page.keyboard.press("Enter"),
+      state.page.waitForNavigation({
+        waitUntil: "domcontentloaded",
+        timeout: PAGE_NAVIGATION_TIMEOUT_MS, // Use long timeout for navigation
+      }),
+    ]);
+    console.log("Captcha submitted.");
+
+    if (signal.aborted)
+      throw new Error("Check aborted after submitting captcha.");
+
+    // Check if captcha was wrong
+    const submittedStates = ["captcha", "wrongCaptcha", "noSlots", "slots"];
+    const submittedPageState = await detectPageState(submittedStates, signal);
+    if (!submittedStates.includes(submittedPageState)) {
+      throw createPageStateError(submittedPageState, "the month view");
+    }
+
+    // A captcha again, with or without the error text, means the answer was wrong
+    if (
+      submittedPageState === "wrongCaptcha" ||
+      submittedPageState === "captcha"
+    ) {
+      console.log(
+        `❌ Submitted captcha "${solvedText}" was wrong. The website should show a new one.`
+      );
+      await safeSendMessage(
+        `❌ [${target.label}] Submitted captcha "${solvedText}" was wrong. The website should have loaded a new captcha. Attempting to solve the new one.`
+      );
+      await recordCaptchaVerdict(base64, solution, false, target);
+      captchaAttempts++; // Increment attempt counter on wrong captcha
+      // The loop will continue, wait for the new captcha, and try again
+      continue;
+    }
+
+    console.log("✅ Captcha accepted.");
+    await recordCaptchaVerdict(base64, solution, true, target);
+    break; // Exit loop if captcha is correct
+  }
+
+  // Check if we exited the loop due to max attempts
+  if (captchaAttempts >= MAX_CAPTCHA_ATTEMPTS) {
+    throw new Error(
+      `Failed to solve captcha after ${MAX_CAPTCHA_ATTEMPTS} attempts.`
+    );
+  }
+
+  // 4. Scan the current month and the following months in the same session
+  const months = [];
+  let scanNote = "";
+  for (let monthIndex = 0; monthIndex < state.monthsAhead; monthIndex++) {
+    if (monthIndex > 0) {
+      // 5. Move to the next month
+      try {
+        const moved = await goToNextMonth(signal);
+        if (!moved) {
+          console.log("No further months offered by the site.");
+          scanNote = "\n(The site offers no further months.)";
+          break;
+        }
+      } catch (error) {
+        if (error.name === "AbortError" || signal.aborted) {
+          throw error; // Propagate abort
+        }
+        console.error(`Error trying to open the next month: ${error.message}`);
+        scanNote = `\n⚠️ Could not open month ${
+          monthIndex + 1
+        } (button might be missing or timed out).`;
+        break;
+      }
+      if (signal.aborted)
+        throw new Error("Check aborted after clicking next month.");
+    }
+
+    setPhase(
+      target,
+      `checking month ${monthIndex + 1} of ${state.monthsAhead}`
+    );
+    const month = await getShownMonthLabel(monthIndex);
+    console.log(`Checking ${month} for appointments...`);
+    const monthPageState = await detectPageState(["noSlots", "slots"], signal);
+    if (signal.aborted)
+      throw new Error(`Check aborted after checking ${month}.`);
+    if (monthPageState !== "noSlots" && monthPageState !== "slots") {
+      throw createPageStateError(monthPageState, `the month view of ${month}`);
+    }
+    const noAppointments = monthPageState === "noSlots";
+
+    const days = noAppointments ? [] : await collectAvailableDays(signal);
+    if (!noAppointments) console.log(`‼️ Appointments found for ${month}!`);
+    months.push({
+      month,
+      monthUrl: state.page.url(),
+      available: !noAppointments,
+      days,
+    });
+  }
+
+  return { months, scanNote };
+}
+
+/**
+ * The core routine to check for appointment availability of a single target.
+ * Handles navigation, captcha solving, and checking, in the browser or over HTTP.
+ * @param {{label: string, locationCode: string, realmId: string, categoryId: string}} target - The watch target to check.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @param {"browser"|"http"} [mode=state.checkMode] - How to load the pages.
+ * @returns {Promise<{alertEnd: Promise<void>|null}>} The end of the alert the check raised,
+ *   if any; the caller waits for it after releasing the browser.
+ */
+async function runCheckLogic(target, signal, mode = state.checkMode) {
+  const appointmentUrl = buildAppointmentUrl(target);
+  console.log(
+    `🚀 Starting appointment check logic for ${target.label}${
+      mode === "http" ? " over HTTP" : ""
+    }...`
+  );
+  const httpSession = mode === "http" ? createHttpSession() : null;
+
+  let alertEnd = null;
+  // History record for this attempt, written in the finally block
+  const run = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    target: target.label,
+    captchaAttempts: 0,
+    solver: null,
+    outcome: null,
+    datesFound: [],
+    error: null,
+    checker: mode,
+  };
+
+  // Handle abort signal: closing the page interrupts what the check is waiting for
+  const abortHandler = async () => {
+    console.log(
+      "🚨 Abort signal received during browser operation. Closing the page."
+    );
+    await cleanupCheckResources(); // Ensure cleanup on abort
+  };
+
+  try {
+    if (!httpSession) {
+      signal.addEventListener("abort", abortHandler, { once: true });
+    }
+    const { months, scanNote } = httpSession
+      ? await scanMonthsOverHttp(target, run, signal, httpSession)
+      : await scanMonthsInBrowser(target, run, signal);
+    await saveAvailability(target, months);
+
+    const availableMonths = months.filter((result) => result.available);
+    run.finishedAt = new Date().toISOString(); // Alerting time doesn't count towards the check duration
+    run.outcome = availableMonths.length > 0 ? "available" : "none";
+    run.datesFound = state.availability[target.label].days.map(
+      (day) => day.date
+    );
+
+    const summary = `${formatMonthSummary(months)}${scanNote}`;
+    const foundDays = availableMonths.flatMap((result) => result.days);
+    const days = foundDays.filter((day) =>
+      isDateAcceptable(day.date, target.filter)
+    );
+    // A month that is available but whose days couldn't be read can't be filtered, so it still alerts
+    const unreadMonths = availableMonths
+      .filter((result) => result.days.length === 0)
+      .map((result) => result.month);
+
+    // Only slots that weren't alerted on before start the alarm
+    const slotKeys = getSlotKeys(days, unreadMonths);
+    const slotChanges = compareAlertedSlots(target, slotKeys);
+    if (slotChanges.gone.length > 0) {
+      // New slots only count as alerted once their alert is out (see below)
+      await saveAlertedSlots(target, slotChanges.remaining);
+      await notifySlotsGone(target, slotChanges.gone, slotChanges.remaining);
+    }
+
+    if (availableMonths.length === 0) {
+      console.log(`No appointments found in ${months.length} month(s).`);
+      await safeSendMessage(
+        `→ [${target.label}] No appointments found in ${
+          months.length
+        } month(s) (${getCurrentTimeString()}). Next scheduled check: ${formatNextCheck()}.\n${summary}`
+      );
+    } else if (slotKeys.length === 0) {
+      // Log quietly instead of raising the alarm for dates nobody can take
+      console.log(
+        `${foundDays.length} free day(s) found, none match the date filter.`
+      );
+      await safeSendMessage(
+        `→ [${target.label}] Only unsuitable dates free (${foundDays
+          .map((day) => day.date)
+          .join(", ")}), filter: ${describeDateFilter(
+          target.filter
+        )}. Next scheduled check: ${formatNextCheck()}.\n${summary}`
+      );
+    } else if (slotChanges.added.length === 0) {
+      console.log(
+        `${slotKeys.length} free slot(s) found, all alerted on before.`
+      );
+      await safeSendMessage(
+        `→ [${target.label}] Still free, already alerted: ${formatSlotKeys(
+          slotKeys
+        )}. Next scheduled check: ${formatNextCheck()}.\n${summary}`
+      );
+    } else {
+      // Capture the page before auto-booking navigates away from it
+      const snapshot = await captureSnapshot(target, "available", httpSession);
+      if (snapshot) run.snapshot = snapshot.name;
+
+      const isBooking = state.isAutoBookEnabled;
+      const bookingNote = isBooking
+        ? "\n\n📝 Auto-booking the first slot now; the result follows."
+        : "";
+
+      const newNote =
+        slotChanges.previous.length > 0
+          ? `\n🆕 New since the last alert: ${formatSlotKeys(
+              slotChanges.added
+            )}`
+          : "";
+      const filterNote =
+        target.filter && days.length < foundDays.length
+          ? `\n🗓️ ${
+              foundDays.length - days.length
+            } other day(s) skipped by the date filter (${describeDateFilter(
+              target.filter
+            )}).`
+          : "";
+      const message = `‼️ Appointment AVAILABLE for ${
+        target.label
+      }! ‼️\n${summary}\n\n${formatAvailableDays(
+        days
+      )}${newNote}${filterNote}\n${appointmentUrl}${bookingNote}`;
+      setPhase(target, "alerting");
+      alertEnd = notifyAvailable(message);
+      await saveAlertedSlots(target, slotKeys);
+      // Book while the alert goes out: by the time someone reacts the slot may be gone,
+      // and a slow booking captcha must not hold the alert back
+      const booking = isBooking
+        ? bookFirstSlot(days, target, signal, run, httpSession)
+        : null;
+      // The first alert goes out at once; the snapshot follows it
+      if (snapshot) {
+        await sendSnapshot(
+          snapshot,
+          `📸 [${target.label}] The page when the slots were found`
+        );
+      }
+      await booking; // In the browser, before the page is closed below
+    }
+
+    console.log("✅ Check completed successfully.");
+  } catch (error) {
+    // This catch block is for errors *within* a single check attempt
+    run.error = error.message;
+    if (error.message.includes("aborted")) {
+      run.outcome = "aborted";
+      console.log(`🏃 Check logic was aborted: ${error.message}`);
+      // No message to user needed if aborted intentionally
+    } else if (error.captchaAction === "skip") {
+      run.outcome = "skipped";
+      await safeSendMessage(`⏭️ [${target.label}] Skipped for this run.`);
+    } else {
+      run.outcome = "error";
+      console.error(
+        `❌ Error during appointment check logic: ${error.message}`
+      );
+      if (error.pageState) {
+        run.pageState = error.pageState; // The snapshot below says more than a stack trace
+      } else {
+        console.error(error.stack); // Log stack trace for debugging
+      }
+      // Show what the site displayed, e.g. a maintenance or block page
+      const snapshot = await captureSnapshot(target, "error", httpSession);
+      if (snapshot) {
+        run.snapshot = snapshot.name;
+        await sendSnapshot(
+          snapshot,
+          `📸 [${target.label}] The page when the check failed: ${error.message}`
+        );
+      }
+      throw error; // Re-throw to be caught by the retry logic
+    }
+  } finally {
+    signal.removeEventListener("abort", abortHandler);
+    await recordHistory(run);
+    // Close the page after each attempt (successful or failed).
+    // An HTTP check has no page; state.page may be another check's fallback.
+    if (!httpSession) await closeCheckPage();
+  }
+  return { alertEnd };
+}
+
+/**
+ * Runs the appointment check for a single target with retry logic.
+ * @param {{label: string, locationCode: string, realmId: string, categoryId: string}} target - The watch target to check.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ * @returns {Promise<boolean>} False if the check failed for good (retries exhausted or non-retryable error), true otherwise.
+ */
+async function runTargetCheck(target, signal) {
+  let attempt = 0;
+  let lastError = null;
+  let mode = state.checkMode;
+
+  while (attempt < MAX_CHECK_RETRIES) {
+    if (signal.aborted) {
+      console.log("Check aborted before retry.");
+      return true; // Exit retry loop if aborted (not a failure)
+    }
+
+    console.log(
+      `[${target.label}] Attempt ${
+        attempt + 1
+      } of ${MAX_CHECK_RETRIES} to run check logic.`
+    );
+    try {
+      const { alertEnd } =
+        mode === "browser"
+          ? await withBrowserLock(() => runCheckLogic(target, signal, mode))
+          : await runCheckLogic(target, signal, mode);
+      // Wait for the alert with the browser free, so other targets can check and book
+      await alertEnd; // <--- AWAITING NOTIFICATIONS HERE
+      console.log(`[${target.label}] Check logic completed successfully.`);
+      return true; // Exit loop on success
+    } catch (error) {
+      lastError = error;
+      console.error(
+        `[${target.label}] Attempt ${attempt + 1} failed: ${error.message}`
+      );
+
+      // Retrying at once only adds load to a blocked or down site; the next scheduled check tries again
+      if (error.pageState === "blocked" || error.pageState === "maintenance") {
+        await safeSendMessage(
+          `🚧 [${target.label}] ${error.message}. Not retrying until the next scheduled check.`
+        );
+        return false;
+      }
+
+      // The browser copes with pages the HTTP check doesn't understand
+      let fallbackNote = "";
+      if (mode === "http") {
+        mode = "browser";
+        fallbackNote = " in the browser";
+      }
+
+      // Only retry on specific Puppeteer ProtocolErrors or general Errors
+      if (error.name === "ProtocolError" || error instanceof Error) {
+        attempt++;
+        if (attempt < MAX_CHECK_RETRIES) {
+          console.log(
+            `Retrying${fallbackNote} in ${
+              CHECK_RETRY_DELAY_MS / 1000
+            } seconds...`
+          );
+          setPhase(target, "waiting to retry");
+          await safeSendMessage(
+            `⚠️ [${target.label}] Check attempt ${attempt} failed with error: ${
+              error.message
+            }. Retrying${fallbackNote} in ${
+              CHECK_RETRY_DELAY_MS / 1000
+            } seconds...`
+          );
+          await new Promise((resolve) =>
+            setTimeout(resolve, CHECK_RETRY_DELAY_MS)
+          );
+        }
+      } else {
+        // If it's not a ProtocolError or general Error, don't retry
+        console.error(`Non-retryable error occurred: ${error.message}`);
+        await safeSendMessage(
+          `❌ [${target.label}] Bot error during check (non-retryable): ${error.message}. Please check logs.`
+        );
+        return false; // Exit loop on non-retryable error
+      }
+    }
+  }
+
+  // If loop finishes without success
+  console.error(
+    `❌ [${target.label}] All ${MAX_CHECK_RETRIES} check attempts failed.`
+  );
+  await safeSendMessage(
+    `❌ [${
+      target.label
+    }] All ${MAX_CHECK_RETRIES} check attempts failed. Last error: ${
+      lastError?.message || "Unknown error"
+    }. Please check logs.`
+  );
+  return false;
+}
+
+/**
+ * Runs the appointment check for every watch target: in turn, or in HTTP mode up to
+ * HTTP_CHECK_CONCURRENCY targets at once.
+ * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
+ */
+async function runCheck(signal) {
+  state.isRunning = true;
+  state.runStartedAt = Date.now();
+  // Copy the list so /addtarget and /removetarget don't affect a run in progress
+  const targets = [...state.targets];
+  let hasFailedTarget = false;
+  let nextIndex = 0;
+
+  // Each worker takes the next target until none are left
+  const checkTargets = async () => {
+    while (nextIndex < targets.length) {
+      if (signal.aborted) {
+        console.log("Check aborted before next target.");
+        break;
+      }
+      const index = nextIndex++;
+      const target = targets[index];
+      console.log(
+        `🎯 Checking target ${index + 1} of ${targets.length}: ${formatTarget(
+          target
+        )}`
+      );
+      setPhase(target, "starting");
+      try {
+        if (!(await runTargetCheck(target, signal))) hasFailedTarget = true;
+      } finally {
+        setPhase(target, null);
+      }
+    }
+  };
+
+  try {
+    const workerCount =
+      state.checkMode === "http"
+        ? Math.min(httpCheckConcurrency, targets.length)
+        : 1;
+    await Promise.all(Array.from({ length: workerCount }, checkTargets));
+
+    // Track failing runs for the adaptive schedule's back-off
+    if (!signal.aborted) {
+      state.consecutiveFailedRuns = hasFailedTarget
+        ? state.consecutiveFailedRuns + 1
+        : 0;
+    }
+  } finally {
+    // Only reset the run state if a newer run (e.g. /checknow) hasn't replaced it
+    if (
+      !state.currentAbortController ||
+      state.currentAbortController.signal === signal
+    ) {
+      state.isRunning = false;
+      state.currentAbortController = null;
+      state.activeChecks = {};
+      state.runStartedAt = null;
+    }
+  }
+}
+
+// --- Check Scheduling ---
+
+// Settings that change when the next check runs; changing one reschedules it
+const SCHEDULE_SETTING_KEYS = [
+  "checkIntervalMinutes",
+  "checkJitterMinutes",
+  "isAdaptiveScheduleEnabled",
+];
+
+/**
+ * Lowers the jitter to half the check interval if it is larger, e.g. a saved jitter
+ * after CHECK_INTERVAL_MINUTES was shortened. More would often cut the delay down
+ * to MIN_CHECK_INTERVAL_MINUTES.
+ */
+function clampCheckJitter() {
+  const maxJitter = Math.floor(state.checkIntervalMinutes / 2);
+  if (state.checkJitterMinutes <= maxJitter) return;
+  console.warn(
+    `Warning: A jitter of ±${state.checkJitterMinutes} min does not fit the ${state.checkIntervalMinutes} min interval, using ±${maxJitter} min.`
+  );
+  state.checkJitterMinutes = maxJitter;
+}
+
+/**
+ * Computes the delay until the next scheduled check.
+ * Starts from the configured interval; in adaptive mode it is shortened during hours
+ * in which the history shows slots usually appear, and doubled for each failed run in
+ * a row from the ADAPTIVE_BACKOFF_MIN_FAILED_RUNS-th on (up to 2^ADAPTIVE_MAX_BACKOFF_EXPONENT). Random jitter is applied last, at most
+ * half of that delay.
+ * @param {number} [from=Date.now()] - Timestamp (ms) the delay is counted from.
+ * @returns {{delayMs: number, reason: string}} The delay and a short explanation.
+ */
+function computeNextCheckDelay(from = Date.now()) {
+  let minutes = state.checkIntervalMinutes;
+  let reason = `every ${minutes} min`;
+
+  if (state.isAdaptiveScheduleEnabled) {
+    const candidateHour = toLocalMoment(from + minutes * 60 * 1000).hour();
+    const hourStats = getHourlySlotStats()[candidateHour];
+    if (state.consecutiveFailedRuns >= ADAPTIVE_BACKOFF_MIN_FAILED_RUNS) {
+      const exponent = Math.min(
+        state.consecutiveFailedRuns - ADAPTIVE_BACKOFF_MIN_FAILED_RUNS + 1,
+        ADAPTIVE_MAX_BACKOFF_EXPONENT
+      );
+      minutes *= 2 ** exponent;
+      reason = `backing off after ${state.consecutiveFailedRuns} failed run(s)`;
+    } else if (hourStats.available >= ADAPTIVE_HOT_HOUR_MIN_SIGHTINGS) {
+      minutes = Math.max(
+        MIN_CHECK_INTERVAL_MINUTES,
+        Math.round(minutes / ADAPTIVE_HOT_HOUR_FACTOR)
+      );
+      reason = `hot hour (slots seen ${hourStats.available}x around ${String(
+        candidateHour
+      ).padStart(2, "0")}:00)`;
+    }
+  }
+
+  // A shorter interval or a hot hour may leave less room than the jitter was set for
+  const jitterMinutes = Math.min(state.checkJitterMinutes, minutes / 2);
+  if (jitterMinutes > 0) {
+    const jitter = (Math.random() * 2 - 1) * jitterMinutes;
+    minutes = Math.max(MIN_CHECK_INTERVAL_MINUTES, minutes + jitter);
+    reason += `, ±${Math.round(jitterMinutes)} min jitter`;
+  }
+
+  return { delayMs: Math.round(minutes * 60 * 1000), reason };
+}
+
+/**
+ * Schedules the next check relative to now and stores it in `state.nextCheckAt`.
+ * @param {number} [from=Date.now()] - Timestamp (ms) the delay is counted from.
+ */
+function scheduleNextCheck(from = Date.now()) {
+  const { delayMs, reason } = computeNextCheckDelay(from);
+  state.nextCheckAt = from + delayMs;
+  console.log(`⏱️ Next scheduled check at ${formatNextCheck()} (${reason}).`);
+}
+
+/**
+ * Formats the time of the next scheduled check.
+ * @returns {string} The time in the configured timezone, or "not scheduled".
+ */
+function formatNextCheck() {
+  return state.nextCheckAt
+    ? toLocalMoment(state.nextCheckAt).format("HH:mm")
+    : "not scheduled";
+}
+
+/**
+ * Estimates when the next check will actually run: the first scheduled time within
+ * working hours. The scheduler skips times outside working hours and reschedules, so
+ * later times are estimated with the plain interval (no jitter or adaptive changes).
+ * @returns {number|null} Timestamp (ms), or null if nothing is scheduled within a week.
+ */
+function estimateNextEffectiveCheck() {
+  if (!state.nextCheckAt) return null;
+  const intervalMs = state.checkIntervalMinutes * 60 * 1000;
+  const limit = state.nextCheckAt + 7 * 24 * 60 * 60 * 1000;
+  for (let time = state.nextCheckAt; time <= limit; time += intervalMs) {
+    if (isWithinWorkingHours(toLocalMoment(time))) return time;
+  }
+  return null;
+}
+
+/**
+ * Describes the check schedule settings for messages.
+ * @returns {string} E.g. "every 30 min, ±5 min jitter, adaptive".
+ */
+function describeSchedule() {
+  let text = `every ${state.checkIntervalMinutes} min`;
+  if (state.checkJitterMinutes > 0) {
+    text += `, ±${state.checkJitterMinutes} min jitter`;
+  }
+  if (state.isAdaptiveScheduleEnabled) text += ", adaptive";
+  return text;
+}
+
+// --- Bot Command Handlers ---
+
+/**
+ * Initiates a check process, handling potential existing runs.
+ * @param {boolean} [bypassTimeCheck=false] - Whether to bypass the working time check.
+ */
+async function startCheckProcess(bypassTimeCheck = false) {
+  if (state.isRunning) {
+    console.log("🚫 Check already in progress. Ignoring request.");
+    await safeSendMessage("⏳ A check is already running. Please wait.");
+    return;
+  }
+
+  // Check if within working hours before starting, unless bypassing
+  // The cron job and non-bypassing calls should only run *within* working hours.
+  if (!bypassTimeCheck && !isWithinWorkingHours()) {
+    const currentTime = getCurrentTimeString();
+    const workingPeriod = describeWorkingPeriod();
+    console.log(
+      `🚫 Cannot start scheduled check. Currently outside working hours (${workingPeriod}). Current time: ${currentTime}`
+    );
+    // Only send a message if logging is enabled to avoid spam during off-hours
+    if (state.isLoggingEnabled) {
+      // Optional: send a message indicating cron was skipped due to working hours
+      // await safeSendMessage(`⏰ Cron check skipped. Currently outside working hours (${workingPeriod}).`);
+    }
+    return;
+  }
+
+  // Create a new AbortController for this check
+  state.currentAbortController = new AbortController();
+  // Run the check, passing the signal
+  runCheck(state.currentAbortController.signal);
+}
+
+// Handler for /another command to get a new captcha while one is waiting for input
+bot.onText(/\/another/, async (msg) => {
+  if (!(await authorize(msg, "solver"))) return;
+
+  if (!state.captchaActionHandler) {
+    await replyTo(msg, "ℹ️ No captcha is waiting for your input.");
+    return;
+  }
+  console.log("Received /another command. Loading a new captcha...");
+  state.captchaActionHandler("refresh");
+});
+
+// Handler for the inline buttons sent with a manual captcha
+bot.on("callback_query", async (query) => {
+  if (!query.message) return;
+  const [scope, action] = (query.data ?? "").split(":");
+
+  if (scope === "alert" && action === "ack") {
+    const mayAcknowledge = canAcknowledgeAlert(
+      query.message.chat.id,
+      query.from.id
+    );
+    const isActive = mayAcknowledge && !!state.activeAlert;
+    try {
+      await bot.answerCallbackQuery(query.id, {
+        text: isActive
+          ? "🆗 Stopping alerts."
+          : mayAcknowledge
+          ? "This alert is no longer active."
+          : "⛔ You can't acknowledge alerts.",
+      });
+    } catch (error) {
+      originalConsoleError(`Failed to answer callback query: ${error.message}`);
+    }
+    if (isActive) stopAlert(`${formatTelegramUser(query.from)} via button`);
+    return;
+  }
+
+  if (
+    scope !== "captcha" ||
+    !hasPermission(query.message.chat.id, query.from.id, "solver")
+  )
+    return;
+
+  const isActive =
+    state.captchaActionHandler &&
+    state.captchaPrompts.some(
+      (prompt) =>
+        prompt.chatId === String(query.message.chat.id) &&
+        prompt.messageId === query.message.message_id
+    );
+  const replies = {
+    refresh: "🔄 Loading a new captcha...",
+    skip: "⏭️ Skipping this run.",
+    abort: "🛑 Aborting the check.",
+  };
+  try {
+    await bot.answerCallbackQuery(query.id, {
+      text: isActive ? replies[action] : "This captcha is no longer active.",
+    });
+  } catch (error) {
+    originalConsoleError(`Failed to answer callback query: ${error.message}`);
+  }
+  if (isActive && replies[action]) {
+    console.log(
+      `Captcha button pressed by ${formatTelegramUser(query.from)}: ${action}`
+    );
+    state.captchaActionHandler(action);
+  }
+});
+
+// Handler for /notifiers command: /notifiers [test <name>] lists the notifiers or sends a test
+bot.onText(/\/notifiers(?:\s+(test)(?:\s+(\S+))?)?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  if (!match[1]) {
+    const used = new Set(state.alertPolicy.map((step) => step.channel));
+    const lines = Object.entries(NOTIFIER_REGISTRY).map(
+      ([name, notifier]) =>
+        `${notifier.isConfigured() ? "✅" : "▫️"} ${name} (${notifier.label})${
+          used.has(name) ? "" : ", not in the alert policy"
+        }`
+    );
+    await replyTo(
+      msg,
+      `📣 Notifiers:\n${lines.join(
+        "\n"
+      )}\n\nUse /notifiers test <name> to send a test notification.`
+    );
+    return;
+  }
+
+  const notifier = Object.hasOwn(NOTIFIER_REGISTRY, match[2] ?? "")
+    ? NOTIFIER_REGISTRY[match[2]]
+    : null;
+  if (!notifier) {
+    await replyTo(
+      msg,
+      `❌ Usage: /notifiers test <${Object.keys(NOTIFIER_REGISTRY).join("|")}>`
+    );
+    return;
+  }
+  if (!notifier.isConfigured()) {
+    await replyTo(msg, `❌ ${notifier.label} is not configured.`);
+    return;
+  }
+  try {
+    await notifier.send({
+      title: "Test notification",
+      message: "🧪 This is a test notification from the appointment bot.",
+      count: 1,
+      ackUrl: null,
+    });
+    await replyTo(msg, `✅ Test notification sent via ${notifier.label}.`);
+  } catch (error) {
+    await replyTo(msg, `❌ ${error.message}`);
+  }
+});
+
+// Handler for /checkmode command: /checkmode [browser|http] shows or switches how pages are loaded
+bot.onText(/\/checkmode(?:\s+(\S+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  if (!match[1]) {
+    await replyTo(
+      msg,
+      `🔌 Check mode: ${describeCheckMode()}.\n\nUse /checkmode browser|http to change it. HTTP checks need no browser and check up to HTTP_CHECK_CONCURRENCY targets at once; a failed one is retried in the browser.`
+    );
+    return;
+  }
+
+  try {
+    SETTINGS.checkMode.set(match[1].toLowerCase());
+  } catch (error) {
+    await replyTo(msg, `❌ Invalid check mode: ${error.message}.`);
+    return;
+  }
+  await persistSetting("checkMode");
+  // A check in progress keeps its mode; the next one uses the new one
+  await replyTo(msg, `✅ Check mode: ${describeCheckMode()}.`);
+});
+
+// Handler for /siteprofile command: /siteprofile [name|reload] shows, switches or reloads the site profile
+bot.onText(/\/siteprofile(?:\s+(\S+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const arg = match[1];
+  if (!arg) {
+    let available = [];
+    try {
+      available = (await fs.readdir(SITE_PROFILE_DIR))
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => file.slice(0, -".json".length));
+    } catch (error) {
+      console.error(`Failed to list the site profiles: ${error.message}`);
+    }
+    const profile = state.siteProfile;
+    await replyTo(
+      msg,
+      `🗺️ Site profile: ${state.siteProfileName} (${profile.name}, version ${
+        profile.version
+      })\nFile: ${resolveSiteProfilePath(state.siteProfileName)}\nURL: ${
+        profile.appointmentUrl
+      }\nAvailable: ${
+        available.join(", ") || "none"
+      }\n\nUse /siteprofile <name|path> to switch, /siteprofile reload to reload the file, /testprofile to test a profile against a saved page. Changes to the file are picked up automatically.`
+    );
+    return;
+  }
+
+  if (arg === "reload") {
+    try {
+      await replyTo(
+        msg,
+        reloadSiteProfile()
+          ? `✅ Site profile ${state.siteProfileName} reloaded (${state.siteProfile.name}).`
+          : `ℹ️ Site profile ${state.siteProfileName} is unchanged.`
+      );
+    } catch (error) {
+      await replyTo(
+        msg,
+        `❌ Keeping the previous site profile: ${error.message}`
+      );
+    }
+    return;
+  }
+
+  try {
+    SETTINGS.siteProfile.set(arg);
+  } catch (error) {
+    await replyTo(msg, `❌ ${error.message}`);
+    return;
+  }
+  await persistSetting("siteProfile");
+  await replyTo(
+    msg,
+    `✅ Site profile set to ${formatSettingValue(
+      "siteProfile"
+    )}. It applies from the next page the bot reads.`
+  );
+  console.log(`Site profile set to ${state.siteProfileName}`);
+});
+
+// Handler for /testprofile command: /testprofile [name|path] [snapshot.html] tests a site
+// profile against a saved page (the newest snapshot by default)
+bot.onText(/\/testprofile(?:\s+(\S+))?(?:\s+(\S+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const args = [match[1], match[2]].filter(Boolean);
+  const pageArg = args.find((arg) => arg.endsWith(".html"));
+  const profileArg = args.find((arg) => arg !== pageArg);
+
+  let profile = state.siteProfile;
+  if (profileArg) {
+    try {
+      profile = loadSiteProfile(profileArg);
+    } catch (error) {
+      await replyTo(msg, `❌ Invalid ${error.message}`);
+      return;
+    }
+  }
+
+  const snapshotDir = path.join(DATA_DIR, SNAPSHOT_DIR);
+  let pageName = pageArg && path.basename(pageArg); // Only pages in snapshotDir
+  let html;
+  try {
+    if (!pageName) {
+      const pages = (await fs.readdir(snapshotDir).catch(() => []))
+        .filter((file) => file.endsWith(".html"))
+        .sort();
+      pageName = pages.at(-1);
+    }
+    if (!pageName) {
+      await replyTo(
+        msg,
+        `ℹ️ No saved pages in ${snapshotDir} yet. Pages are saved when slots are found and when a check fails.`
+      );
+      return;
+    }
+    html = await fs.readFile(path.join(snapshotDir, pageName), "utf8");
+  } catch (error) {
+    await replyTo(msg, `❌ Cannot read ${pageName}: ${error.message}`);
+    return;
+  }
+
+  await replyTo(msg, `🧪 Testing ${profile.name} against ${pageName}...`);
+  let result;
+  try {
+    result = await testSiteProfile(profile, html);
+  } catch (error) {
+    await replyTo(msg, `❌ Profile test failed: ${error.message}`);
+    return;
+  }
+
+  const formatCount = ([key, count]) =>
+    typeof count === "number"
+      ? `${count > 0 ? "✅" : "▫️"} ${key}: ${count} match(es)`
+      : `❌ ${key}: ${count}`;
+  const formatFound = (items) => (items.length ? items.join(", ") : "none");
+  await replyTo(
+    msg,
+    `🧪 ${profile.name} on ${pageName}\n📄 Page state: ${result.pageState}${
+      result.httpPageState ? ` (HTTP checks: ${result.httpPageState})` : ""
+    }\n\nSelectors (the booking ones only match on the appointment form):\n${Object.entries(
+      result.selectors
+    )
+      .map(formatCount)
+      .join("\n")}\n\nLinks:\n${Object.entries(result.links)
+      .map(formatCount)
+      .join("\n")}\n\nTexts:\n${
+      result.texts.noAppointments ? "✅" : "▫️"
+    } noAppointments\n${
+      result.texts.wrongCaptcha ? "✅" : "▫️"
+    } wrongCaptcha\nblocked: ${formatFound(
+      result.texts.blocked
+    )}\nmaintenance: ${formatFound(result.texts.maintenance)}`.substring(
+      0,
+      4000
+    )
+  );
+});
+
+// Handler for /ack command: acknowledges the running alert
+bot.onText(/\/ack\b/, async (msg) => {
+  if (!canAcknowledgeAlert(msg.chat.id, msg.from?.id)) {
+    await authorize(msg, "admin"); // Tells known users they are not allowed
+    return;
+  }
+  if (!stopAlert(`${formatTelegramUser(msg.from)} via /ack`)) {
+    await replyTo(msg, "ℹ️ No alert is running.");
+  }
+});
+
+// Handler for /alertpolicy command: /alertpolicy [steps] shows or sets the escalation
+bot.onText(/\/alertpolicy(?:\s+(\S+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  if (!match[1]) {
+    await replyTo(
+      msg,
+      `🔔 Alert policy: ${formatAlertPolicy(
+        state.alertPolicy
+      )}\n${describeAlertPolicy()}\n\nUse /alertpolicy <channel>@<delay>[/<repeat>],...,stop@<delay> with channels ${Object.keys(
+        NOTIFIER_REGISTRY
+      ).join(", ")}.`
+    );
+    return;
+  }
+
+  try {
+    state.alertPolicy = parseAlertPolicy(match[1]);
+  } catch (error) {
+    await replyTo(msg, `❌ Invalid alert policy: ${error.message}.`);
+    return;
+  }
+  await persistSetting("alertPolicy");
+  await replyTo(
+    msg,
+    `✅ Alert policy set: ${describeAlertPolicy()}. It applies from the next alert.`
+  );
+  console.log(
+    `Alert policy changed to ${formatAlertPolicy(state.alertPolicy)}`
+  );
+});
+
+// Handler for /status command to report what the bot is doing
+bot.onText(/\/status/, async (msg) => {
+  if (!(await authorize(msg, "viewer"))) return;
+
+  const now = Date.now();
+  const lines = [];
+  if (state.isRunning) {
+    const activeChecks = Object.entries(state.activeChecks);
+    lines.push(
+      `🏃 Running for ${formatDuration(now - state.runStartedAt)}${
+        activeChecks.length
+          ? ` on ${activeChecks.map(([label]) => label).join(", ")}`
+          : ""
+      }.`
+    );
+    for (const [label, { phase, phaseStartedAt }] of activeChecks) {
+      lines.push(
+        `Phase${
+          activeChecks.length > 1 ? ` (${label})` : ""
+        }: ${phase}, for ${formatDuration(now - phaseStartedAt)}.`
+      );
+    }
+    if (state.isWaitingForCaptcha) lines.push("⌨️ Waiting for captcha input.");
+  } else {
+    lines.push("💤 Idle.");
+  }
+
+  const lastRun = state.history.at(-1);
+  lines.push(
+    `\nLast run: ${lastRun ? formatHistoryRecord(lastRun) : "none yet"}`
+  );
+
+  const nextCheck = estimateNextEffectiveCheck();
+  if (!state.nextCheckAt) {
+    lines.push("\n⏱️ Next check: not scheduled.");
+  } else if (nextCheck === state.nextCheckAt) {
+    lines.push(
+      `\n⏱️ Next check: ${formatNextCheck()} (${describeSchedule()}).`
+    );
+  } else {
+    lines.push(
+      `\n⏱️ Next check: ${
+        nextCheck
+          ? toLocalMoment(nextCheck).format("ddd HH:mm")
+          : "none within a week"
+      } (the scheduled ${formatNextCheck()} falls outside working hours).`
+    );
+  }
+  lines.push(`Working period: ${describeWorkingPeriod()}`);
+  lines.push(`🔌 Check mode: ${describeCheckMode()}.`);
+  lines.push(`🌐 Browser: ${await describeBrowser()}.`);
+
+  await replyTo(msg, `📟 Status\n${lines.join("\n")}`.substring(0, 4000));
+});
+
+// Handler for /whoami command, open to everyone so they can ask an admin for a role
+bot.onText(/\/whoami/, async (msg) => {
+  if (!msg.from) return;
+  const roles = getRoles(msg.chat.id, msg.from.id);
+  await replyTo(
+    msg,
+    `🪪 Your Telegram user ID is ${msg.from.id}. Role: ${
+      roles.length ? [...new Set(roles)].join(", ") : "none"
+    }.`
+  );
+});
+
+// Handler for /grant command: /grant <userId> <admin|viewer|solver>
+bot.onText(/\/grant(?:\s+(\S+)\s+(\S+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const [, userId, role] = match;
+  if (!userId || !/^\d+$/.test(userId) || !isKnownRole(role)) {
+    await replyTo(
+      msg,
+      `❌ Usage: /grant <userId> <${Object.keys(ROLE_PERMISSIONS).join(
+        "|"
+      )}>. Users can get their ID with /whoami.`
+    );
+    return;
+  }
+  if (userId === CHAT_ID) {
+    await replyTo(msg, "ℹ️ The owner (CHAT_ID) is always an admin.");
+    return;
+  }
+
+  state.roles[userId] = role;
+  await saveRoles();
+  await replyTo(msg, `✅ User ${userId} is now ${role}.`);
+  await safeSendMessage(
+    `🔑 You were granted the ${role} role for the appointment watcher.`,
+    userId
+  );
+  console.log(`Granted ${role} to user ${userId}`);
+});
+
+// Handler for /revoke command: /revoke <userId>
+bot.onText(/\/revoke(?:\s+(\S+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const userId = match[1];
+  if (!userId || !state.roles[userId]) {
+    await replyTo(msg, "❌ Usage: /revoke <userId> (see /roles).");
+    return;
+  }
+
+  const role = state.roles[userId];
+  delete state.roles[userId];
+  await saveRoles();
+  await replyTo(msg, `✅ Revoked the ${role} role from user ${userId}.`);
+  console.log(`Revoked ${role} from user ${userId}`);
+});
+
+// Handler for /roles command to list granted roles
+bot.onText(/\/roles/, async (msg) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const lines = [
+    `👑 ${CHAT_ID}: admin (owner)`,
+    ...Object.entries(state.roles).map(
+      ([userId, role]) => `• ${userId}: ${role}`
+    ),
+    ...captchaSolverPoolChatIds.map(
+      (chatId) => `• ${chatId}: solver (CAPTCHA_SOLVER_CHAT_IDS)`
+    ),
+  ];
+  await replyTo(msg, `🔑 Roles:\n${lines.join("\n")}`.substring(0, 4000));
+});
+
+// Handler for /checknow command (bypasses working time restriction)
+bot.onText(/\/checknow/, async (msg) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  console.log("Received /checknow command.");
+
+  // Check if a check is already running and abort if necessary
+  if (state.isRunning) {
+    console.log("⚠️ Check is running. Aborting previous check...");
+    await replyTo(
+      msg,
+      "⏳ Previous check is running. Attempting to cancel it first..."
+    );
+    if (state.currentAbortController) {
+      state.currentAbortController.abort(); // Signal the current check to abort
+    }
+    // Give cleanup a moment before starting new check
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    console.log("Previous check should be aborted. Starting new check.");
+  }
+
+  // Ensure state is reset before starting (in case cleanup didn't fully run)
+  state.isRunning = false;
+  state.isWaitingForCaptcha = false; // Reset manual captcha flag
+  stopAlert(); // Also resolves the notifyAvailable promise, so a new check can start
+  if (state.captchaMessageListener)
+    // Clean up manual captcha listener if active
+    bot.removeListener("message", state.captchaMessageListener);
+  state.captchaMessageListener = null;
+  state.captchaActionHandler = null;
+  state.captchaPrompts = [];
+
+  await replyTo(
+    msg,
+    "🚀 Starting a manual check now (bypassing working hour restriction). Please wait..."
+  );
+  startCheckProcess(true); // Start check, bypassing working hour restriction
+});
+
+/**
+ * Moves the start of each day's first window or the end of each day's last window,
+ * keeping the other windows and the days that are off. If every day is off, the
+ * default window is adjusted and used on every day.
+ * @param {"start"|"end"} edge - Which edge to move.
+ * @param {number} minuteOfDay - The new time in minutes since midnight.
+ */
+async function setWorkingWindowEdge(edge, minuteOfDay) {
+  const format = (minutes) =>
+    formatTimeOfDay(Math.floor(minutes / 60), minutes % 60);
+  const moveEdge = (text) => {
+    const { start, end } = parseWorkingWindow(text);
+    return edge === "start"
+      ? `${format(minuteOfDay)}-${format(end)}`
+      : `${format(start)}-${format(minuteOfDay)}`;
+  };
+  const isEveryDayOff = WEEKDAY_KEYS.every(
+    (day) => state.workingSchedule[day].length === 0
+  );
+  state.workingSchedule = Object.fromEntries(
+    WEEKDAY_KEYS.map((day) => {
+      if (isEveryDayOff) return [day, [moveEdge(DEFAULT_WORKING_WINDOW)]];
+      const windows = [...state.workingSchedule[day]];
+      if (windows.length === 0) return [day, windows]; // Day off stays off
+      const index = edge === "start" ? 0 : windows.length - 1;
+      windows[index] = moveEdge(windows[index]);
+      return [day, windows];
+    })
+  );
+  await persistSetting("workingSchedule");
+}
+
+// Handler for /startat command (moves the start of each day's first window)
+bot.onText(/\/startat (\d{1,2}):(\d{2})/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+
+  if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+    await replyTo(
+      msg,
+      "❌ Invalid time format. Please use HH:MM (24-hour format)."
+    );
+    return;
+  }
+
+  await setWorkingWindowEdge("start", hour * 60 + minute);
+
+  await replyTo(
+    msg,
+    `✅ Working hour start time set to ${formatTimeOfDay(
+      hour,
+      minute
+    )}. Current working period: ${describeWorkingPeriod()}`
+  );
+  console.log(`Working hour start time set to ${hour}:${minute}`);
+});
+
+// Handler for /stopat command (moves the end of each day's last window)
+bot.onText(/\/stopat (\d{1,2}):(\d{2})/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+
+  if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+    await replyTo(
+      msg,
+      "❌ Invalid time format. Please use HH:MM (24-hour format)."
+    );
+    return;
+  }
+
+  await setWorkingWindowEdge("end", hour * 60 + minute);
+
+  await replyTo(
+    msg,
+    `✅ Working hour end time set to ${formatTimeOfDay(
+      hour,
+      minute
+    )}. Current working period: ${describeWorkingPeriod()}`
+  );
+  console.log(`Working hour end time set to ${hour}:${minute}`);
+});
+
+// Handler for /hours command: /hours <days> <windows|off>, e.g. /hours weekdays 07:00-09:00,14:00-23:00
+bot.onText(/\/hours(?:\s+(\S+)\s+(\S+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  if (!match[1]) {
+    await replyTo(
+      msg,
+      `🕐 Working period: ${describeWorkingPeriod()}\nUse /hours <days> <windows|off>, e.g. /hours weekdays 07:00-09:00,14:00-23:00 or /hours sat,sun off (00:00-00:00 is the whole day). Days: mon..sun, ranges like mon-fri, all, weekdays, weekends.`
+    );
+    return;
+  }
+
+  try {
+    state.workingSchedule = applyWorkingHoursSpec(
+      state.workingSchedule,
+      `${match[1]}=${match[2]}`
+    );
+  } catch (error) {
+    await replyTo(msg, `❌ ${error.message}.`);
+    return;
+  }
+  await persistSetting("workingSchedule");
+  await replyTo(msg, `✅ Working period updated: ${describeWorkingPeriod()}`);
+  console.log(`Working schedule set to ${describeWorkingSchedule()}`);
+});
+
+// Handler for /blackout command: /blackout [add <dates>|remove <dates>|holidays [year]|clear]
+bot.onText(
+  /\/blackout(?:\s+(add|remove|holidays|clear)(?:\s+(.+))?)?/,
+  async (msg, match) => {
+    if (!(await authorize(msg, "admin"))) return;
+
+    const action = match[1];
+    const args = (match[2] || "").split(/[\s,]+/).filter(Boolean);
+
+    if (!action) {
+      await replyTo(
+        msg,
+        `🚫 Blackout dates: ${
+          state.blackoutDates.length ? state.blackoutDates.join(", ") : "none"
+        }\nUse /blackout add <YYYY-MM-DD...>, /blackout remove <YYYY-MM-DD...>, /blackout holidays [year] (German public holidays) or /blackout clear.`
+      );
+      return;
+    }
+
+    let dates = state.blackoutDates;
+    let note = "";
+    try {
+      if (action === "add") {
+        dates = normalizeBlackoutDates([...dates, ...args]);
+      } else if (action === "remove") {
+        const toRemove = normalizeBlackoutDates(args);
+        dates = dates.filter((date) => !toRemove.includes(date));
+      } else if (action === "holidays") {
+        const year = args[0]
+          ? parseInt(args[0], 10)
+          : toLocalMoment(Date.now()).year();
+        if (!(year >= 2000 && year <= 2100)) {
+          throw new Error(`invalid year "${args[0]}"`);
+        }
+        const holidays = getGermanPublicHolidays(year);
+        dates = normalizeBlackoutDates([
+          ...dates,
+          ...holidays.map((holiday) => holiday.date),
+        ]);
+        note = `\nAdded German public holidays ${year}: ${holidays
+          .map((holiday) => `${holiday.date} ${holiday.name}`)
+          .join(", ")}`;
+      } else {
+        dates = [];
+      }
+    } catch (error) {
+      await replyTo(msg, `❌ ${error.message}.`);
+      return;
+    }
+
+    state.blackoutDates = dates;
+    await persistSetting("blackoutDates");
+    await replyTo(
+      msg,
+      `✅ Blackout dates: ${dates.length ? dates.join(", ") : "none"}${note}`
+    );
+    console.log(`Blackout dates updated (${dates.length} date(s))`);
+  }
+);
+
+// Handler for /toggle_log command
+bot.onText(/\/toggle_log/, async (msg) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  state.isLoggingEnabled = !state.isLoggingEnabled;
+  await persistSetting("isLoggingEnabled");
+  const status = state.isLoggingEnabled ? "ENABLED" : "DISABLED";
+  await replyTo(
+    msg,
+    `✅ Logging to Telegram is now ${status}. (Warnings and Errors are always sent).`
+  );
+  console.log(`Logging to Telegram toggled to ${status}`);
+});
+
+// Handler for /months command: /months <n> sets how many months are scanned per check
+bot.onText(/\/months(?:\s+(\d+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  if (!match[1]) {
+    await replyTo(
+      msg,
+      `📆 Scanning ${state.monthsAhead} month(s) per check. Use /months <1-${MAX_MONTHS_AHEAD}> to change it.`
+    );
+    return;
+  }
+
+  const months = parseInt(match[1], 10);
+  if (months < 1 || months > MAX_MONTHS_AHEAD) {
+    await replyTo(
+      msg,
+      `❌ Invalid number of months. Please use a number from 1 to ${MAX_MONTHS_AHEAD}.`
+    );
+    return;
+  }
+
+  state.monthsAhead = months;
+  await persistSetting("monthsAhead");
+  await replyTo(
+    msg,
+    `✅ Each check now scans ${months} month(s), starting with the current month.`
+  );
+  console.log(`Months scanned per check set to ${months}`);
+});
+
+// Handler for /interval command: /interval <minutes> changes the check cadence live
+bot.onText(/\/interval(?:\s+(\d+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  if (!match[1]) {
+    await replyTo(
+      msg,
+      `⏱️ Checks run ${describeSchedule()}. Next scheduled check: ${formatNextCheck()}.\nUse /interval <minutes>, /jitter <minutes> or /adaptive on|off to change it.`
+    );
+    return;
+  }
+
+  try {
+    SETTINGS.checkIntervalMinutes.set(parseInt(match[1], 10));
+  } catch (error) {
+    await replyTo(msg, `❌ Invalid interval: ${error.message}.`);
+    return;
+  }
+  clampCheckJitter();
+  await persistSetting("checkIntervalMinutes");
+  scheduleNextCheck(); // Apply the new cadence right away
+  await replyTo(
+    msg,
+    `✅ Checks now run ${describeSchedule()}. Next scheduled check: ${formatNextCheck()}.`
+  );
+});
+
+// Handler for /jitter command: /jitter <minutes> adds a random +/- offset to each run
+bot.onText(/\/jitter(?:\s+(\d+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  if (!match[1]) {
+    await replyTo(
+      msg,
+      `🎲 Jitter is ±${state.checkJitterMinutes} min. Use /jitter <minutes> to change it (0 disables it, at most half the interval).`
+    );
+    return;
+  }
+
+  const jitterMinutes = parseInt(match[1], 10);
+  const maxJitter = Math.floor(state.checkIntervalMinutes / 2);
+  if (jitterMinutes > maxJitter) {
+    await replyTo(
+      msg,
+      `❌ Invalid jitter: expected at most half the check interval (${maxJitter} min).`
+    );
+    return;
+  }
+  SETTINGS.checkJitterMinutes.set(jitterMinutes);
+  await persistSetting("checkJitterMinutes");
+  scheduleNextCheck();
+  await replyTo(
+    msg,
+    `✅ Checks now run ${describeSchedule()}. Next scheduled check: ${formatNextCheck()}.`
+  );
+});
+
+// Handler for /adaptive command: /adaptive on|off
+bot.onText(/\/adaptive(?:\s+(on|off))?/i, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  if (!match[1]) {
+    await replyTo(
+      msg,
+      `🧠 Adaptive schedule is ${
+        state.isAdaptiveScheduleEnabled ? "ON" : "OFF"
+      }. Use /adaptive on|off to change it.`
+    );
+    return;
+  }
+
+  state.isAdaptiveScheduleEnabled = match[1].toLowerCase() === "on";
+  await persistSetting("isAdaptiveScheduleEnabled");
+  scheduleNextCheck();
+  await replyTo(
+    msg,
+    `✅ Adaptive schedule ${
+      state.isAdaptiveScheduleEnabled
+        ? "enabled: checks run more often in hours when slots usually appear and back off after repeated failures"
+        : "disabled"
+    }. Next scheduled check: ${formatNextCheck()}.`
+  );
+});
+
+// Handler for /targets command to list the watch targets
+bot.onText(/\/targets/, async (msg) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const lines = state.targets.map(
+    (target, index) => `${index + 1}. ${formatTarget(target)}`
+  );
+  await replyTo(msg, `🎯 Watch targets:\n${lines.join("\n")}`);
+});
+
+// Handler for /addtarget command: /addtarget <locationCode> <realmId> <categoryId> [label]
+bot.onText(/\/addtarget(?:\s+(.*))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const [locationCode, realmId, categoryId, ...labelParts] = (match[1] || "")
+    .trim()
+    .split(/\s+/);
+
+  let target;
+  try {
+    target = normalizeTarget({
+      locationCode,
+      realmId,
+      categoryId,
+      label: labelParts.join(" "),
+    });
+  } catch (error) {
+    await replyTo(
+      msg,
+      `❌ ${error.message}. Usage: /addtarget <locationCode> <realmId> <categoryId> [label]`
+    );
+    return;
+  }
+
+  const duplicate = state.targets.find(
+    (existing) =>
+      existing.label === target.label ||
+      (existing.locationCode === target.locationCode &&
+        existing.realmId === target.realmId &&
+        existing.categoryId === target.categoryId)
+  );
+  if (duplicate) {
+    await replyTo(msg, `❌ Target already exists: ${formatTarget(duplicate)}`);
+    return;
+  }
+
+  state.targets = [...state.targets, target];
+  await persistSetting("targets");
+  await replyTo(
+    msg,
+    `✅ Added target ${formatTarget(target)}. Now watching ${
+      state.targets.length
+    } target(s).`
+  );
+  console.log(`Added watch target ${formatTarget(target)}`);
+});
+
+// Handler for /removetarget command: /removetarget <number|label>
+bot.onText(/\/removetarget(?:\s+(.*))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const index = findTargetIndex((match[1] || "").trim());
+  if (index < 0) {
+    await replyTo(
+      msg,
+      "❌ Target not found. Usage: /removetarget <number|label> (see /targets)"
+    );
+    return;
+  }
+  if (state.targets.length === 1) {
+    await replyTo(msg, "❌ Cannot remove the last watch target.");
+    return;
+  }
+
+  const removed = state.targets[index];
+  state.targets = state.targets.filter((_, i) => i !== index);
+  await persistSetting("targets");
+  await replyTo(
+    msg,
+    `🗑️ Removed target ${formatTarget(removed)}. Now watching ${
+      state.targets.length
+    } target(s).`
+  );
+  console.log(`Removed watch target ${formatTarget(removed)}`);
+});
 
-    if (noAppointmentsThisMonth) {
-      console.log("No appointments found this month. Checking next month...");
-      // 5. Check Next Month
-      try {
-        await state.page.waitForSelector(NEXT_MONTH_BUTTON_SELECTOR, {
-          timeout: CAPTCHA_TIMEOUT_MS, // Use shorter timeout here
-          signal,
-        });
-        await new Promise((resolve) => setTimeout(resolve, 1000)); // Small delay
-        await state.page.click(NEXT_MONTH_BUTTON_SELECTOR);
-        await state.page.waitForNetworkIdle({
-          waitUntil: "domcontentloaded", // Wait for DOM content
-          timeout: CAPTCHA_TIMEOUT_MS,
-          signal,
-        }); // Wait for potential AJAX loads
-        console.log("Clicked 'Next Month'.");
+// Handler for /filter command: /filter <number|label> [earliest=YYYY-MM-DD] [latest=YYYY-MM-DD] [exclude=sat,sun] [notice=N] | clear
+bot.onText(/\/filter(?:\s+(\S+)(?:\s+(.+))?)?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
 
-        if (signal.aborted)
-          throw new Error("Check aborted after clicking next month.");
+  const usage =
+    "Usage: /filter <number|label> [earliest=YYYY-MM-DD] [latest=YYYY-MM-DD] [exclude=sat,sun] [notice=days], or /filter <number|label> clear";
+  if (!match[1]) {
+    const lines = state.targets.map(
+      (target, i) =>
+        `${i + 1}. ${target.label}: ${describeDateFilter(target.filter)}`
+    );
+    await replyTo(msg, `🗓️ Date filters:\n${lines.join("\n")}\n\n${usage}`);
+    return;
+  }
 
-        const noAppointmentsNextMonth = await checkForNoAppointments();
-        if (signal.aborted)
-          throw new Error("Check aborted after checking next month.");
+  const index = findTargetIndex(match[1]);
+  if (index < 0) {
+    await replyTo(msg, `❌ Target not found (see /targets). ${usage}`);
+    return;
+  }
 
-        if (noAppointmentsNextMonth) {
-          console.log("No appointments found next month either.");
-          await safeSendMessage(
-            `→ No appointments found for this or next month (${getCurrentTimeString()}). Retrying in 30 minutes.`
-          );
-        } else {
-          console.log("‼️ Appointments found for NEXT month!");
-          const message = `‼️ Appointment AVAILABLE (Next Month)! ‼️\n${APPOINTMENT_URL}`;
-          // Await the notification process to complete
-          await notifyAvailable(message); // <--- AWAITING NOTIFICATIONS HERE
-        }
-      } catch (error) {
-        if (error.name === "AbortError") {
-          throw error; // Propagate abort
-        }
-        console.error(`Error trying to check next month: ${error.message}`);
-        await safeSendMessage(
-          `⚠️ Could not check next month (button might be missing or timed out). Assuming no appointments for now.`
-        );
+  const target = state.targets[index];
+  const args = (match[2] || "").trim();
+  let filter = null;
+  if (args.toLowerCase() !== "clear") {
+    // Start from the current rules, so one rule can be changed at a time
+    const raw = { ...target.filter };
+    const keys = {
+      earliest: "earliest",
+      latest: "latest",
+      exclude: "excludedWeekdays",
+      notice: "minNoticeDays",
+    };
+    for (const arg of args.split(/\s+/).filter(Boolean)) {
+      const [name, value = ""] = arg.split("=");
+      const key = Object.hasOwn(keys, name.toLowerCase())
+        ? keys[name.toLowerCase()]
+        : null;
+      if (!key) {
+        await replyTo(msg, `❌ Unknown rule "${arg}". ${usage}`);
+        return;
       }
-    } else {
-      // Appointments found in the current month
-      console.log("‼️ Appointments found for CURRENT month!");
-      const message = `‼️ Appointment AVAILABLE NOW! ‼️\n${APPOINTMENT_URL}`;
-      // Await the notification process to complete
-      await notifyAvailable(message); // <--- AWAITING NOTIFICATIONS HERE
+      // An empty value (e.g. "latest=") drops the rule
+      raw[key] = value === "" ? undefined : value;
     }
-
-    console.log("✅ Check completed successfully.");
-  } catch (error) {
-    // This catch block is for errors *within* a single check attempt
-    if (error.message.includes("aborted")) {
-      console.log(`🏃 Check logic was aborted: ${error.message}`);
-      // No message to user needed if aborted intentionally
-    } else {
-      console.error(
-        `❌ Error during appointment check logic: ${error.message}`
-      );
-      console.error(error.stack); // Log stack trace for debugging
-      throw error; // Re-throw to be caught by the retry logic
+    try {
+      filter = normalizeDateFilter(raw);
+    } catch (error) {
+      await replyTo(msg, `❌ ${error.message}.`);
+      return;
     }
-  } finally {
-    // Cleanup resources after each attempt (successful or failed),
-    // but only AFTER notifyAvailable has finished if it was called.
-    await cleanupResources();
   }
-}
 
-/**
- * Runs the appointment check with retry logic.
- * @param {AbortSignal} signal - The AbortSignal to allow cancellation.
- */
-async function runCheck(signal) {
-  state.isRunning = true;
-  let attempt = 0;
-  let lastError = null;
+  const updated = { ...target };
+  delete updated.filter;
+  if (filter) updated.filter = filter;
+  state.targets = state.targets.map((item, i) =>
+    i === index ? updated : item
+  );
+  await persistSetting("targets");
+  await replyTo(
+    msg,
+    `✅ Alerts for ${target.label} now fire for: ${describeDateFilter(filter)}.`
+  );
+  console.log(
+    `Date filter for ${target.label} updated: ${describeDateFilter(filter)}`
+  );
+});
 
-  while (attempt < MAX_CHECK_RETRIES) {
-    if (signal.aborted) {
-      console.log("Check aborted before retry.");
-      state.isRunning = false; // Ensure state is updated
-      return; // Exit retry loop if aborted
-    }
+// Handler for /history command: /history [n] shows the last n check records
+bot.onText(/\/history(?:\s+(\d+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
 
-    console.log(
-      `Attempt ${attempt + 1} of ${MAX_CHECK_RETRIES} to run check logic.`
+  const count = Math.min(
+    match[1] ? parseInt(match[1], 10) : DEFAULT_HISTORY_COUNT,
+    MAX_HISTORY_COUNT
+  );
+  if (count < 1) {
+    await replyTo(
+      msg,
+      `❌ Please give a number of checks from 1 to ${MAX_HISTORY_COUNT}.`
     );
-    try {
-      await runCheckLogic(signal);
-      console.log("Check logic completed successfully.");
-      state.isRunning = false; // Mark as not running on success
-      return; // Exit loop on success
-    } catch (error) {
-      lastError = error;
-      console.error(`Attempt ${attempt + 1} failed: ${error.message}`);
-
-      // Only retry on specific Puppeteer ProtocolErrors or general Errors
-      if (error.name === "ProtocolError" || error instanceof Error) {
-        attempt++;
-        if (attempt < MAX_CHECK_RETRIES) {
-          console.log(`Retrying in ${CHECK_RETRY_DELAY_MS / 1000} seconds...`);
-          await safeSendMessage(
-            `⚠️ Check attempt ${attempt} failed with error: ${
-              error.message
-            }. Retrying in ${CHECK_RETRY_DELAY_MS / 1000} seconds...`
-          );
-          await new Promise((resolve) =>
-            setTimeout(resolve, CHECK_RETRY_DELAY_MS)
-          );
-        }
-      } else {
-        // If it's not a ProtocolError or general Error, don't retry
-        console.error(`Non-retryable error occurred: ${error.message}`);
-        await safeSendMessage(
-          `❌ Bot error during check (non-retryable): ${error.message}. Please check logs.`
-        );
-        state.isRunning = false; // Mark as not running on non-retryable error
-        return; // Exit loop on non-retryable error
-      }
-    }
+    return;
+  }
+  if (state.history.length === 0) {
+    await replyTo(msg, "📜 No checks recorded yet.");
+    return;
   }
 
-  // If loop finishes without success
-  console.error(`❌ All ${MAX_CHECK_RETRIES} check attempts failed.`);
-  await safeSendMessage(
-    `❌ All ${MAX_CHECK_RETRIES} check attempts failed. Last error: ${
-      lastError?.message || "Unknown error"
-    }. Please check logs.`
-  );
-  state.isRunning = false; // Mark as not running after all attempts fail
-}
+  const records = state.history.slice(-count).reverse(); // Newest first
+  const text = `📜 Last ${records.length} check(s):\n${records
+    .map(formatHistoryRecord)
+    .join("\n")}`;
+  await replyTo(msg, text.substring(0, 4000)); // Limit message length
+});
 
-// --- Bot Command Handlers ---
+// Handler for /stats command to summarize the check history
+bot.onText(/\/stats/, async (msg) => {
+  if (!(await authorize(msg, "admin"))) return;
 
-/**
- * Initiates a check process, handling potential existing runs.
- * @param {boolean} [bypassTimeCheck=false] - Whether to bypass the working time check.
- */
-async function startCheckProcess(bypassTimeCheck = false) {
-  if (state.isRunning) {
-    console.log("🚫 Check already in progress. Ignoring request.");
-    await safeSendMessage("⏳ A check is already running. Please wait.");
+  const finished = state.history.filter(
+    (record) => record.outcome !== "aborted" && record.outcome !== "skipped"
+  );
+  if (finished.length === 0) {
+    await replyTo(msg, "📊 No checks recorded yet.");
     return;
   }
 
-  // Check if within working hours before starting, unless bypassing
-  // The cron job and non-bypassing calls should only run *within* working hours.
-  if (!bypassTimeCheck && !isWithinWorkingHours()) {
-    const currentTime = getCurrentTimeString();
-    const workingPeriod = `${String(state.workingStartHour).padStart(
-      2,
-      "0"
-    )}:${String(state.workingStartMinute).padStart(2, "0")} to ${String(
-      state.workingEndHour
-    ).padStart(2, "0")}:${String(state.workingEndMinute).padStart(2, "0")}`;
-    console.log(
-      `🚫 Cannot start scheduled check. Currently outside working hours (${workingPeriod} ${
-        enableTimezoneRestriction ? TIMEZONE : "local time"
-      }). Current time: ${currentTime}`
+  const successful = finished.filter((record) => record.outcome !== "error");
+  const averageDurationMs =
+    finished.reduce(
+      (sum, record) =>
+        sum + (new Date(record.finishedAt) - new Date(record.startedAt)),
+      0
+    ) / finished.length;
+  const withSlots = finished.filter((record) => record.outcome === "available");
+
+  const hourLines = getHourlySlotStats()
+    .map((hour, index) => ({ ...hour, index }))
+    .filter((hour) => hour.available > 0)
+    .map(
+      (hour) =>
+        `${String(hour.index).padStart(2, "0")}:00 ${"▇".repeat(
+          Math.min(hour.available, 20)
+        )} ${hour.available}/${hour.checks}`
     );
-    // Only send a message if logging is enabled to avoid spam during off-hours
-    if (state.isLoggingEnabled) {
-      // Optional: send a message indicating cron was skipped due to working hours
-      // await safeSendMessage(`⏰ Cron check skipped. Currently outside working hours (${workingPeriod}).`);
-    }
+
+  await replyTo(
+    msg,
+    `📊 Check statistics since ${toLocalMoment(finished[0].startedAt).format(
+      "YYYY-MM-DD HH:mm"
+    )}:\n` +
+      `Checks: ${finished.length} (${
+        finished.length - successful.length
+      } failed)\n` +
+      `Success rate: ${((successful.length / finished.length) * 100).toFixed(
+        1
+      )}%\n` +
+      `Average duration: ${formatDuration(averageDurationMs)}\n` +
+      `Checks with free slots: ${withSlots.length}\n\n` +
+      `🕐 Slots found by hour of day (${
+        enableTimezoneRestriction ? TIMEZONE : "local time"
+      }, found/checks):\n${
+        hourLines.length ? hourLines.join("\n") : "No slots found yet."
+      }`
+  );
+});
+
+// Handler for /solverstats command to show accuracy, latency and cost per captcha solver
+bot.onText(/\/solverstats/, async (msg) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const entries = Object.entries(state.solverStats);
+  if (entries.length === 0) {
+    await replyTo(msg, "🧩 No captchas solved yet.");
     return;
   }
 
-  // Create a new AbortController for this check
-  state.currentAbortController = new AbortController();
-  // Run the check, passing the signal
-  runCheck(state.currentAbortController.signal);
-}
+  await replyTo(
+    msg,
+    `🧩 Captcha solver statistics:\n\n${entries
+      .map(([solverName, stats]) => formatSolverStats(solverName, stats))
+      .join("\n\n")}`.substring(0, 4000)
+  );
+});
 
-// Handler for /checknow command (bypasses working time restriction)
-bot.onText(/\/checknow/, async (msg) => {
-  if (String(msg.chat.id) !== CHAT_ID) return;
+// Handler for /leaderboard command to rank the people solving captchas
+bot.onText(/\/leaderboard/, async (msg) => {
+  if (!(await authorize(msg, "solver"))) return;
 
-  console.log("Received /checknow command.");
+  const entries = Object.values(state.leaderboard).sort(
+    (a, b) => b.accepted - a.accepted || a.rejected - b.rejected
+  );
+  if (entries.length === 0) {
+    await replyTo(msg, "🏆 No captchas solved by hand yet.");
+    return;
+  }
 
-  // Check if a check is already running and abort if necessary
-  if (state.isRunning) {
-    console.log("⚠️ Check is running. Aborting previous check...");
-    await safeSendMessage(
-      "⏳ Previous check is running. Attempting to cancel it first..."
-    );
-    if (state.currentAbortController) {
-      state.currentAbortController.abort(); // Signal the current check to abort
+  const medals = ["🥇", "🥈", "🥉"];
+  const lines = entries.map(
+    (entry, index) =>
+      `${medals[index] ?? `${index + 1}.`} ${entry.name}: ${
+        entry.accepted
+      } accepted, ${entry.rejected} wrong`
+  );
+  await replyTo(
+    msg,
+    `🏆 Captcha leaderboard:\n${lines.join("\n")}`.substring(0, 4000)
+  );
+});
+
+// Handler for /applicant command: /applicant [<field> <value>|clear] manages the auto-booking profile
+bot.onText(/\/applicant(?:\s+(\S+)(?:\s+(.+))?)?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const [, field, value] = match;
+  if (field === "clear") {
+    state.applicant = {};
+  } else if (field) {
+    if (!Object.hasOwn(APPLICANT_FIELDS, field) || !value?.trim()) {
+      await replyTo(
+        msg,
+        `❌ Usage: /applicant <${Object.keys(APPLICANT_FIELDS).join(
+          "|"
+        )}> <value>, or /applicant clear.`
+      );
+      return;
     }
-    // Give cleanup a moment before starting new check
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-    console.log("Previous check should be aborted. Starting new check.");
+    state.applicant[field] = value.trim();
   }
-
-  // Ensure state is reset before starting (in case cleanup didn't fully run)
-  state.isRunning = false;
-  state.isWaitingForCaptcha = false; // Reset manual captcha flag
-  if (state.spamInterval) clearInterval(state.spamInterval);
-  state.spamInterval = null;
-  if (state.captchaMessageListener)
-    // Clean up manual captcha listener if active
-    bot.removeListener("message", state.captchaMessageListener);
-  state.captchaMessageListener = null;
-  // Ensure the notifyAvailable promise is resolved if a new check starts
-  if (state.notifyAvailableResolver) {
-    state.notifyAvailableResolver();
-    state.notifyAvailableResolver = null;
+  if (field) {
+    try {
+      await writeJsonFile(APPLICANT_FILE, state.applicant);
+    } catch (error) {
+      console.error(`Failed to save the applicant profile: ${error.message}`);
+    }
   }
 
-  await safeSendMessage(
-    "🚀 Starting a manual check now (bypassing working hour restriction). Please wait..."
+  const lines = Object.entries(APPLICANT_FIELDS).map(
+    ([key, { label, isSensitive }]) => {
+      const value = state.applicant[key];
+      // Only the last characters, enough to tell which document is set
+      const shown =
+        value && isSensitive ? `${"•".repeat(5)}${value.slice(-3)}` : value;
+      return `${label} (${key}): ${shown ?? "—"}`;
+    }
   );
-  startCheckProcess(true); // Start check, bypassing working hour restriction
+  await replyTo(msg, `🪪 Applicant profile:\n${lines.join("\n")}`);
 });
 
-// Handler for /startat command
-bot.onText(/\/startat (\d{1,2}):(\d{2})/, async (msg, match) => {
-  if (String(msg.chat.id) !== CHAT_ID) return;
-
-  const hour = parseInt(match[1], 10);
-  const minute = parseInt(match[2], 10);
+// Handler for /autobook command: /autobook [on|off] shows or toggles auto-booking
+bot.onText(/\/autobook(?:\s+(on|off))?/i, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
 
-  if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
-    await safeSendMessage(
-      "❌ Invalid time format. Please use HH:MM (24-hour format)."
+  if (!match[1]) {
+    await replyTo(
+      msg,
+      `📝 Auto-booking is ${
+        state.isAutoBookEnabled ? "ON" : "OFF"
+      }. Use /autobook on|off to change it.`
     );
     return;
   }
 
-  state.workingStartHour = hour;
-  state.workingStartMinute = minute;
+  const isEnabled = match[1].toLowerCase() === "on";
+  const missing = getMissingApplicantFields();
+  if (isEnabled && missing.length > 0) {
+    await replyTo(
+      msg,
+      `❌ Fill in the applicant profile first (missing: ${missing.join(
+        ", "
+      )}). See /applicant.`
+    );
+    return;
+  }
 
-  const workingPeriod = `${String(state.workingStartHour).padStart(
-    2,
-    "0"
-  )}:${String(state.workingStartMinute).padStart(2, "0")} to ${String(
-    state.workingEndHour
-  ).padStart(2, "0")}:${String(state.workingEndMinute).padStart(2, "0")}`;
-  await safeSendMessage(
-    `✅ Working hour start time set to ${String(hour).padStart(
-      2,
-      "0"
-    )}:${String(minute).padStart(2, "0")} ${
-      enableTimezoneRestriction ? TIMEZONE : "local time"
-    }. Current working period: ${workingPeriod}`
+  state.isAutoBookEnabled = isEnabled;
+  await persistSetting("isAutoBookEnabled");
+  await replyTo(
+    msg,
+    `✅ Auto-booking ${
+      isEnabled
+        ? "enabled: the first free slot will be booked with the applicant profile, then auto-booking switches off"
+        : "disabled"
+    }.`
   );
-  console.log(`Working hour start time set to ${hour}:${minute}`);
 });
 
-// Handler for /stopat command
-bot.onText(/\/stopat (\d{1,2}):(\d{2})/, async (msg, match) => {
-  if (String(msg.chat.id) !== CHAT_ID) return;
+// Handler for /archive command: /archive [on|off] shows or toggles the captcha archive
+bot.onText(/\/archive(?:\s+(on|off))?/i, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  if (!match[1]) {
+    const labels = await readCaptchaLabels().catch(() => []);
+    const accepted = labels.filter((label) => label.verdict === "accepted");
+    await replyTo(
+      msg,
+      `🗃️ Captcha archive is ${state.isCaptchaArchiveEnabled ? "ON" : "OFF"} (${
+        labels.length
+      } captcha(s): ${accepted.length} accepted, ${
+        labels.length - accepted.length
+      } rejected). Use /archive on|off to change it and /exportcaptchas to download it.`
+    );
+    return;
+  }
 
-  const hour = parseInt(match[1], 10);
-  const minute = parseInt(match[2], 10);
+  state.isCaptchaArchiveEnabled = match[1].toLowerCase() === "on";
+  await persistSetting("isCaptchaArchiveEnabled");
+  await replyTo(
+    msg,
+    `✅ Captcha archive ${
+      state.isCaptchaArchiveEnabled
+        ? `enabled: submitted captchas are saved to ${path.join(
+            DATA_DIR,
+            CAPTCHA_ARCHIVE_DIR
+          )} with their verdict`
+        : "disabled"
+    }.`
+  );
+});
 
-  if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
-    await safeSendMessage(
-      "❌ Invalid time format. Please use HH:MM (24-hour format)."
+// Handler for /exportcaptchas command: sends the archive as a gzipped JSONL file
+bot.onText(
+  /\/exportcaptchas(?:\s+(accepted|rejected))?/i,
+  async (msg, match) => {
+    if (!(await authorize(msg, "admin"))) return;
+
+    const verdict = match[1]?.toLowerCase();
+    const stamp = moment().format("YYYYMMDD-HHmm");
+    let partCount = 0;
+    let captchaCount = 0;
+    try {
+      for await (const { buffer, count } of exportCaptchaArchive(verdict)) {
+        partCount += 1;
+        const sent = await safeSendDocument(
+          buffer,
+          {
+            caption: `🗃️ Part ${partCount}: ${count} ${
+              verdict ?? "labelled"
+            } captcha(s), one JSON object per line (image in "data" as base64).`,
+          },
+          {
+            filename: `captchas-${stamp}-part${partCount}.jsonl.gz`,
+            contentType: "application/gzip",
+          },
+          String(msg.chat.id)
+        );
+        if (!sent) {
+          await replyTo(
+            msg,
+            `❌ Failed to send part ${partCount} of the captcha export (${Math.ceil(
+              buffer.length / 1024
+            )} KB) to Telegram, see the log. ${captchaCount} captcha(s) were sent before it.`
+          );
+          return;
+        }
+        captchaCount += count;
+      }
+    } catch (error) {
+      await replyTo(
+        msg,
+        `❌ Failed to export the captcha archive: ${error.message}`
+      );
+      return;
+    }
+    await replyTo(
+      msg,
+      partCount === 0
+        ? "🗃️ The captcha archive is empty."
+        : `✅ Exported ${captchaCount} captcha(s) in ${partCount} file(s).`
     );
-    return;
   }
+);
 
-  state.workingEndHour = hour;
-  state.workingEndMinute = minute;
+// Handler for /settings command to show the effective settings and their sources
+bot.onText(/\/settings/, async (msg) => {
+  if (!(await authorize(msg, "admin"))) return;
 
-  const workingPeriod = `${String(state.workingStartHour).padStart(
-    2,
-    "0"
-  )}:${String(state.workingStartMinute).padStart(2, "0")} to ${String(
-    state.workingEndHour
-  ).padStart(2, "0")}:${String(state.workingEndMinute).padStart(2, "0")}`;
-  await safeSendMessage(
-    `✅ Working hour end time set to ${String(hour).padStart(2, "0")}:${String(
-      minute
-    ).padStart(2, "0")} ${
-      enableTimezoneRestriction ? TIMEZONE : "local time"
-    }. Current working period: ${workingPeriod}`
+  const lines = Object.entries(SETTINGS).map(([key, setting]) => {
+    const source = state.settingSources[key] || "default";
+    return `• ${key} = ${formatSettingValue(key)}\n    ${
+      setting.description
+    } — from ${source} (env ${setting.env})`;
+  });
+  await replyTo(
+    msg,
+    `⚙️ Settings (command values are saved to ${path.join(
+      DATA_DIR,
+      SETTINGS_FILE
+    )}):\n${lines.join(
+      "\n"
+    )}\n\nUse /resetsetting <name> to drop a value set by command.`.substring(
+      0,
+      4000
+    )
   );
-  console.log(`Working hour end time set to ${hour}:${minute}`);
 });
 
-// Handler for /toggle_log command
-bot.onText(/\/toggle_log/, async (msg) => {
-  if (String(msg.chat.id) !== CHAT_ID) return;
+// Handler for /resetsetting command: /resetsetting <name> reverts to the env or default value
+bot.onText(/\/resetsetting(?:\s+(\S+))?/, async (msg, match) => {
+  if (!(await authorize(msg, "admin"))) return;
+
+  const key = match[1];
+  const setting = Object.hasOwn(SETTINGS, key ?? "") ? SETTINGS[key] : null;
+  if (!setting) {
+    await replyTo(
+      msg,
+      `❌ Unknown setting. Usage: /resetsetting <${Object.keys(SETTINGS).join(
+        "|"
+      )}>`
+    );
+    return;
+  }
 
-  state.isLoggingEnabled = !state.isLoggingEnabled;
-  const status = state.isLoggingEnabled ? "ENABLED" : "DISABLED";
-  await safeSendMessage(
-    `✅ Logging to Telegram is now ${status}. (Warnings and Errors are always sent).`
+  const envValue = process.env[setting.env];
+  try {
+    setting.set(
+      envValue
+        ? setting.parseEnv
+          ? setting.parseEnv(envValue)
+          : envValue
+        : structuredClone(SETTING_DEFAULTS[key])
+    );
+  } catch (error) {
+    // E.g. a site profile file that can no longer be loaded
+    await replyTo(msg, `❌ Cannot reset ${key}: ${error.message}.`);
+    return;
+  }
+  if (envValue) {
+    state.settingSources[key] = "env";
+  } else {
+    delete state.settingSources[key];
+  }
+  await saveSettings(); // Rewrites the file without this setting
+  if (SCHEDULE_SETTING_KEYS.includes(key)) {
+    clampCheckJitter();
+    scheduleNextCheck(); // As /interval etc. do
+  }
+
+  await replyTo(
+    msg,
+    `✅ ${key} reset to ${formatSettingValue(key)} (from ${
+      state.settingSources[key] || "default"
+    }).`
   );
-  console.log(`Logging to Telegram toggled to ${status}`);
+  console.log(`Setting ${key} reset`);
 });
 
 // Handler for /shutdown command to completely stop the bot
 bot.onText(/\/shutdown/, async (msg) => {
-  if (String(msg.chat.id) !== CHAT_ID) return;
+  if (!(await authorize(msg, "admin"))) return;
 
   console.log("Received /shutdown command. Shutting down...");
-  await safeSendMessage(
+  await replyTo(
+    msg,
     "🛑 Shutting down bot. All checks and notifications will stop."
   );
 
@@ -1192,26 +7104,24 @@ bot.onText(/\/shutdown/, async (msg) => {
 });
 
 // --- Cron Job Scheduling ---
+// The cron job ticks every minute; a check starts once state.nextCheckAt is reached,
+// so the cadence can change at runtime (/interval, /jitter, /adaptive).
 console.log(
-  `Scheduling check with cron schedule: "${CRON_SCHEDULE}". Checks restricted dynamically.`
+  `Scheduling checks (${describeSchedule()}). Checks restricted dynamically.`
 );
-cron.schedule(CRON_SCHEDULE, () => {
+cron.schedule(SCHEDULER_TICK_CRON, () => {
+  if (!state.nextCheckAt || Date.now() < state.nextCheckAt) return; // Not scheduled yet or not due
+
   console.log("⏰ Cron job triggered.");
+  scheduleNextCheck();
 
   // Check if within working hours before starting
   // Cron should only run *within* the defined working hours.
   if (!isWithinWorkingHours()) {
     const currentTime = getCurrentTimeString();
-    const workingPeriod = `${String(state.workingStartHour).padStart(
-      2,
-      "0"
-    )}:${String(state.workingStartMinute).padStart(2, "0")} to ${String(
-      state.workingEndHour
-    ).padStart(2, "0")}:${String(state.workingEndMinute).padStart(2, "0")}`;
+    const workingPeriod = describeWorkingPeriod();
     console.log(
-      `🚫 Cron skipped. Currently outside working hours (${workingPeriod} ${
-        enableTimezoneRestriction ? TIMEZONE : "local time"
-      }). Current time: ${currentTime}`
+      `🚫 Cron skipped. Currently outside working hours (${workingPeriod}). Current time: ${currentTime}`
     );
     // Only send a message if logging is enabled to avoid spam during off-hours
     if (state.isLoggingEnabled) {
@@ -1225,7 +7135,7 @@ cron.schedule(CRON_SCHEDULE, () => {
     console.log("🚫 Cron: Check already running. Skipping.");
     return;
   }
-  if (!enableAntiCaptcha && state.isWaitingForCaptcha) {
+  if (state.isWaitingForCaptcha) {
     console.log("🚫 Cron: Waiting for manual captcha input. Skipping check.");
     // Optionally, send a reminder?
     // safeSendMessage("⏰ Reminder: Still waiting for captcha input.");
@@ -1236,18 +7146,67 @@ cron.schedule(CRON_SCHEDULE, () => {
 
 // --- Initial Run and Startup Message ---
 (async () => {
-  const workingPeriod = `${String(state.workingStartHour).padStart(
-    2,
-    "0"
-  )}:${String(state.workingStartMinute).padStart(2, "0")} to ${String(
-    state.workingEndHour
-  ).padStart(2, "0")}:${String(state.workingEndMinute).padStart(2, "0")}`;
-  let startupMessage = `👋 Bot started. Initial check starting now...\n\nAvailable commands:\n/checknow - Run a single check immediately (bypasses working hour restriction)\n/startat HH:MM - Set the start time for the working period\n/stopat HH:MM - Set the stop time for the working period\n/toggle_log - Toggle sending general logs to Telegram (Warnings and Errors are always sent)\n/shutdown - Stop the bot completely\nOK - Stop appointment alerts`; // Updated command list
-
-  if (enableAntiCaptcha) {
+  await loadSettings();
+  clampCheckJitter(); // Saved interval and jitter may come from different sources
+  watchSiteProfile();
+  try {
+    state.availability = await readJsonFile(AVAILABILITY_FILE, {});
+  } catch (error) {
+    console.error(`Failed to load saved availability: ${error.message}`);
+  }
+  await loadNotifierConfig();
+  try {
+    state.alertedSlots = await readJsonFile(ALERTED_SLOTS_FILE, {});
+  } catch (error) {
+    console.error(`Failed to load alerted slots: ${error.message}`);
+  }
+  try {
+    await loadHistory();
+  } catch (error) {
+    console.error(`Failed to load check history: ${error.message}`);
+  }
+  try {
+    state.solverStats = await readJsonFile(SOLVER_STATS_FILE, {});
+  } catch (error) {
+    console.error(`Failed to load solver statistics: ${error.message}`);
+  }
+  try {
+    state.applicant = await readJsonFile(APPLICANT_FILE, {});
+  } catch (error) {
+    console.error(`Failed to load the applicant profile: ${error.message}`);
+  }
+  try {
+    const roles = await readJsonFile(ROLES_FILE, {});
+    for (const [userId, role] of Object.entries(roles)) {
+      if (isKnownRole(role)) continue;
+      console.warn(`Ignoring unknown role "${role}" of user ${userId}.`);
+      delete roles[userId];
+    }
+    state.roles = roles;
+  } catch (error) {
+    console.error(`Failed to load roles: ${error.message}`);
+  }
+  try {
+    state.leaderboard = await readJsonFile(LEADERBOARD_FILE, {});
+  } catch (error) {
+    console.error(`Failed to load the captcha leaderboard: ${error.message}`);
+  }
+
+  let startupMessage = `👋 Bot started. Initial check starting now...\n\nAvailable commands:\n/status - Show what the bot is doing and when the next check runs\n/checknow - Run a single check immediately (bypasses working hour restriction)\n/another - Get a new captcha while one is waiting for your reply\n/startat HH:MM - Set the start time of each day's first working window\n/stopat HH:MM - Set the stop time of each day's last working window\n/hours [days windows] - Show or set working windows per weekday\n/blackout [add|remove|holidays|clear] - Manage dates without scheduled checks\n/toggle_log - Toggle sending general logs to Telegram (Warnings and Errors are always sent)\n/months N - Scan N months ahead per check\n/interval [minutes] - Show or change the check interval\n/jitter [minutes] - Show or change the random offset around each check\n/adaptive [on|off] - Check more often when slots usually appear, back off after failures\n/targets - List the watch targets\n/addtarget <locationCode> <realmId> <categoryId> [label] - Add a watch target\n/removetarget <number|label> - Remove a watch target\n/filter [<number|label> rules|clear] - Only alert for acceptable dates\n/history [n] - Show the last n checks\n/stats - Show check statistics\n/solverstats - Show accuracy, latency and cost per captcha solver\n/leaderboard - Rank the people solving captchas\n/applicant [<field> <value>|clear] - Show or edit the applicant profile for auto-booking\n/autobook [on|off] - Book the first free slot automatically\n/archive [on|off] - Show or toggle the captcha archive\n/exportcaptchas [accepted|rejected] - Download the captcha archive\n/settings - Show the effective settings and where they came from\n/resetsetting <name> - Drop a setting changed by command\n/whoami - Show your Telegram user ID and role\n/grant <userId> <admin|viewer|solver> - Give a user a role\n/revoke <userId> - Remove a user's role\n/roles - List the granted roles\n/alertpolicy [steps] - Show or set how alerts escalate\n/notifiers [test <name>] - List the notifiers or send a test notification\n/siteprofile [name|reload] - Show, switch or reload the site profile\n/testprofile [profile] [page.html] - Test a site profile against a saved page\n/checkmode [browser|http] - Show or switch between browser and HTTP checks\n/shutdown - Stop the bot completely\nOK or /ack - Stop appointment alerts`; // Updated command list
+
+  if (enableAutomatedCaptcha) {
     startupMessage += `\n🤖 Automated captcha solving is enabled.`;
   } else {
-    startupMessage += `\n✍️ Manual captcha solving is required.`;
+    startupMessage += `\n✍️ No captcha service is configured: captchas the local OCR cannot read need manual solving.`;
+  }
+  startupMessage += `\n🧩 Captcha solver chain: ${captchaSolverChain
+    .map((solver) => solver.label)
+    .join(" → ")}`;
+  const solverChatCount = getChatIdsWithPermission("solver").length;
+  if (solverChatCount > 1) {
+    startupMessage += `\n👥 Manual captchas also go to ${
+      solverChatCount - 1
+    } other chat(s); the first valid reply wins.`;
   }
 
   if (enableEmail) {
@@ -1261,17 +7220,66 @@ cron.schedule(CRON_SCHEDULE, () => {
   } else {
     startupMessage += `\n⚠️ Pushbullet notifications are NOT enabled (check .env).`;
   }
+  startupMessage += `\n📣 Configured notifiers: ${Object.values(
+    NOTIFIER_REGISTRY
+  )
+    .filter((notifier) => notifier.isConfigured())
+    .map((notifier) => notifier.label)
+    .join(", ")} (see /notifiers).`;
+
+  startupMessage += `\n🔔 Alert policy: ${describeAlertPolicy()}`;
+  if (alertContactChatIds.length > 0) {
+    startupMessage += `\n📞 ${alertContactChatIds.length} second contact(s) for escalation.`;
+  }
+  if (alertAckBaseUrl) {
+    startupMessage += `\n🔗 Alerts carry acknowledgement links (${alertAckBaseUrl}).`;
+  }
 
-  startupMessage += `\n\nScheduled checks will run *only* between ${workingPeriod} ${
-    enableTimezoneRestriction ? TIMEZONE : "local time"
-  }. Use /checknow for an immediate check that bypasses this restriction.`;
+  if (state.isAutoBookEnabled) {
+    const missing = getMissingApplicantFields();
+    startupMessage += missing.length
+      ? `\n⚠️ Auto-booking is on, but the applicant profile is missing: ${missing.join(
+          ", "
+        )} (see /applicant).`
+      : `\n📝 Auto-booking is on: the first free slot will be booked.`;
+  }
+
+  startupMessage += `\n🗺️ Site profile: ${formatSettingValue("siteProfile")}.`;
+  startupMessage += `\n🔌 Check mode: ${describeCheckMode()}.`;
+  startupMessage += `\n🌐 One browser is kept warm between checks, recycled after ${browserMaxRuns} checks${
+    browserMaxMemoryMb > 0 ? ` or above ${browserMaxMemoryMb} MB` : ""
+  }.`;
+  startupMessage += `\n\n📆 Each check scans ${state.monthsAhead} month(s).`;
+  startupMessage += `\n⏱️ Checks run ${describeSchedule()}.`;
+
+  startupMessage += `\n\n🎯 Watching ${
+    state.targets.length
+  } target(s):\n${state.targets.map(formatTarget).join("\n")}`;
+
+  startupMessage += `\n\nScheduled checks will run *only* within the working period: ${describeWorkingPeriod()}. Use /checknow for an immediate check that bypasses this restriction.`;
 
   await safeSendMessage(startupMessage);
   // Start the first check immediately, but it will be skipped if outside working hours
+  scheduleNextCheck();
   startCheckProcess(false); // Initial check respects working hour restriction
 })();
 
 console.log("🤖 Telegram bot polling started...");
+if (alertAckBaseUrl) startAlertAckServer();
+
+// Between checks, restart the browser if it hangs and recycle it if it is due
+setInterval(() => {
+  if (state.isRunning || !state.browser) return; // In use, or started by the next check
+  if (state.checkMode === "http") {
+    // Only fallbacks and bookings need it; don't keep its memory in use
+    console.log("🌐 Closing the idle browser (HTTP mode).");
+    closeBrowser();
+    return;
+  }
+  acquireBrowser().catch((error) => {
+    console.error(`Failed to restart the browser: ${error.message}`);
+  });
+}, BROWSER_HEALTH_CHECK_INTERVAL_MS);
 
 // Graceful shutdown handling
 process.on("SIGINT", async () => {
@@ -0,0 +1,106 @@
+// The acknowledgement link: GET only shows a confirmation page, its POST stops the alert
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import http from "node:http";
+import { after, before, describe, test } from "node:test";
+import {
+  dateInMonth,
+  startBot,
+  startCaptchaApiStub,
+  startFakeSite,
+  startHttpStub,
+  waitFor,
+} from "./helpers.js";
+
+/**
+ * Finds a free local port.
+ * @returns {Promise<number>} The port.
+ */
+async function getFreePort() {
+  const server = http.createServer().listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const { port } = server.address();
+  server.close();
+  await once(server, "close");
+  return port;
+}
+
+describe("acknowledgement link", () => {
+  let site;
+  let api;
+  let hook;
+  let bot;
+  let ackUrl;
+  let mark;
+
+  before(async () => {
+    site = await startFakeSite();
+    site.freeDays.push(dateInMonth(1, 12));
+    api = await startCaptchaApiStub("ABC123");
+    hook = await startHttpStub(() => ({ body: {} }));
+    bot = await startBot({
+      site,
+      env: {
+        CAPTCHA_SOLVERS: "anticaptcha",
+        ANTI_CAPTCHA_API_KEY: "anticaptcha-key",
+        ANTICAPTCHA_API_URL: api.url,
+        ALERT_ACK_PORT: String(await getFreePort()),
+        WEBHOOK_URL: `${hook.url}/hook`,
+        WEBHOOK_TEMPLATE: '{"ackUrl":"{{ackUrl}}"}',
+      },
+    });
+    mark = bot.send("/checknow");
+    const request = await waitFor(
+      () => hook.requests.find((request) => request.path === "/hook"),
+      "the webhook alert"
+    );
+    ackUrl = request.body.ackUrl;
+  });
+
+  after(async () => {
+    await bot?.stop();
+    await hook?.close();
+    await api?.close();
+    await site?.close();
+  });
+
+  test("opening the link shows a confirmation form and keeps the alert going", async () => {
+    const response = await fetch(ackUrl);
+    assert.equal(response.status, 200);
+    const page = await response.text();
+    assert.match(page, /<form method="post" action="ack">/);
+    assert.match(
+      page,
+      new RegExp(
+        `name="token" value="${new URL(ackUrl).searchParams.get("token")}"`
+      )
+    );
+    assert.doesNotMatch(bot.output(), /Notifications stopped/);
+  });
+
+  test("a wrong token is refused", async () => {
+    const response = await fetch(new URL("ack", ackUrl), {
+      method: "POST",
+      body: new URLSearchParams({ token: "wrong" }),
+    });
+    assert.equal(response.status, 410);
+    assert.doesNotMatch(bot.output(), /Notifications stopped/);
+  });
+
+  test("confirming stops the alert, and the link does nothing afterwards", async () => {
+    const token = new URL(ackUrl).searchParams.get("token");
+    const response = await fetch(new URL("ack", ackUrl), {
+      method: "POST",
+      body: new URLSearchParams({ token }),
+    });
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /Alert acknowledged/);
+    await bot.waitForMessage(
+      (message) =>
+        message.text ===
+        "🆗 Alert acknowledged by acknowledgement link - stopping alerts.",
+      mark
+    );
+    assert.equal((await fetch(ackUrl)).status, 410);
+  });
+});
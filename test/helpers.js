@@ -0,0 +1,493 @@
+// Helpers for the end-to-end tests: local HTTP stubs, a fake Telegram Bot API and a
+// bot process talking to them. The bot runs as it does in production (node index.js),
+// configured through the environment to use the stubs instead of the real services.
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const REPO_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+export const ADMIN_CHAT_ID = 1001; // CHAT_ID of the bot under test
+const WAIT_TIMEOUT_MS = 20 * 1000; // Per awaited message or request
+const POLL_INTERVAL_MS = 50;
+const EMPTY_UPDATES_DELAY_MS = 300; // Long polling: hold getUpdates this long when nothing is queued
+const SITE_PATH = "/rktermin/extern"; // Where the fake site serves its pages
+// A 1x1 PNG, so the captcha is a real image wherever it is sent
+const CAPTCHA_IMAGE =
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+/**
+ * Waits until a function returns a truthy value.
+ * @template T
+ * @param {() => T} check - Returns the awaited value, or a falsy value to keep waiting.
+ * @param {string} description - What is awaited, for the timeout error.
+ * @param {number} [timeoutMs=WAIT_TIMEOUT_MS] - How long to wait.
+ * @returns {Promise<T>} The value.
+ * @throws {Error} If the value doesn't appear in time.
+ */
+export async function waitFor(check, description, timeoutMs = WAIT_TIMEOUT_MS) {
+  const startedAt = Date.now();
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error(`Timed out waiting for ${description}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Parses a request body by its content type: JSON, URL-encoded or multipart form data.
+ * Files in multipart bodies are replaced by {filename, size}.
+ * @param {string} contentType - The Content-Type header.
+ * @param {Buffer} body - The raw body.
+ * @returns {object|null} The fields, or null for other bodies.
+ */
+function parseBody(contentType = "", body) {
+  if (contentType.includes("application/json")) {
+    return JSON.parse(body.toString("utf8"));
+  }
+  if (contentType.includes("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(body.toString("utf8")));
+  }
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+  if (contentType.includes("multipart/form-data") && boundary) {
+    const fields = {};
+    const parts = body
+      .toString("latin1")
+      .split(`--${boundary[1] ?? boundary[2]}`);
+    for (const part of parts) {
+      const headerEnd = part.indexOf("\r\n\r\n");
+      if (headerEnd < 0) continue;
+      const headers = part.slice(0, headerEnd);
+      const content = part.slice(headerEnd + 4, part.lastIndexOf("\r\n"));
+      const name = /name="([^"]*)"/.exec(headers)?.[1];
+      const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+      if (!name) continue;
+      fields[name] =
+        filename !== undefined
+          ? { filename, size: content.length }
+          : Buffer.from(content, "latin1").toString("utf8");
+    }
+    return fields;
+  }
+  return null;
+}
+
+/**
+ * Starts a local HTTP stub that records every request and answers with a handler.
+ * @param {(request: {method: string, path: string, query: URLSearchParams, headers: object, body: object|null, rawBody: string}) => ({status?: number, headers?: object, body?: *}|Promise<object>)} handler
+ *   Returns the response; an object or array body is sent as JSON.
+ * @returns {Promise<{url: string, requests: Array<object>, close: () => Promise<void>}>} The stub.
+ */
+export async function startHttpStub(handler) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const rawBody = Buffer.concat(chunks);
+    const url = new URL(req.url, "http://localhost");
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: url.searchParams,
+      headers: req.headers,
+      body: parseBody(req.headers["content-type"], rawBody),
+      rawBody: rawBody.toString("utf8"),
+    };
+    requests.push(request);
+    try {
+      const {
+        status = 200,
+        headers = {},
+        body = "",
+      } = (await handler(request)) ?? {};
+      const isJson = typeof body === "object" && !Buffer.isBuffer(body);
+      res.writeHead(status, {
+        "Content-Type": isJson
+          ? "application/json"
+          : "text/html; charset=utf-8",
+        ...headers,
+      });
+      res.end(isJson ? JSON.stringify(body) : body);
+    } catch (error) {
+      res.writeHead(500);
+      res.end(error.message);
+    }
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: async () => {
+      server.closeAllConnections();
+      server.close();
+      await once(server, "close");
+    },
+  };
+}
+
+/**
+ * Starts a fake Telegram Bot API: it records what the bot sends and hands out the
+ * updates queued with sendText through getUpdates.
+ * @returns {Promise<{url: string, sent: Array<object>, sendText: Function, close: () => Promise<void>}>}
+ *   `sent` holds the bot's calls ({method, chat_id, text, caption, ...}), oldest first.
+ */
+export async function startFakeTelegram() {
+  const sent = [];
+  const updates = [];
+  let nextUpdateId = 1;
+  let nextMessageId = 1;
+
+  const stub = await startHttpStub(async ({ path: requestPath, body }) => {
+    const method = requestPath.split("/").pop();
+    const fields = body ?? {};
+    if (method === "getUpdates") {
+      const offset = Number(fields.offset ?? 0);
+      let pending = updates.filter((update) => update.update_id >= offset);
+      if (pending.length === 0) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, EMPTY_UPDATES_DELAY_MS)
+        );
+        pending = updates.filter((update) => update.update_id >= offset);
+      }
+      return { body: { ok: true, result: pending } };
+    }
+    if (method === "getMe") {
+      return {
+        body: {
+          ok: true,
+          result: { id: 1, is_bot: true, username: "test_bot" },
+        },
+      };
+    }
+    if (!method.startsWith("send")) return { body: { ok: true, result: true } };
+    sent.push({ method, ...fields });
+    return {
+      body: {
+        ok: true,
+        result: {
+          message_id: nextMessageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: Number(fields.chat_id), type: "private" },
+          text: fields.text,
+        },
+      },
+    };
+  });
+
+  return {
+    url: stub.url,
+    sent,
+    /**
+     * Queues a text message to the bot.
+     * @param {string} text - The message text.
+     * @param {{chatId?: number, userId?: number}} [from] - Defaults to the admin chat.
+     */
+    sendText(text, { chatId = ADMIN_CHAT_ID, userId = chatId } = {}) {
+      updates.push({
+        update_id: nextUpdateId++,
+        message: {
+          message_id: nextMessageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: chatId, type: chatId > 0 ? "private" : "group" },
+          from: { id: userId, is_bot: false, first_name: "Tester" },
+          text,
+          ...(text.startsWith("/") && {
+            entities: [
+              {
+                type: "bot_command",
+                offset: 0,
+                length: text.split(" ")[0].length,
+              },
+            ],
+          }),
+        },
+      });
+    },
+    close: stub.close,
+  };
+}
+
+/**
+ * Formats a date like the site's dateStr parameter.
+ * @param {Date} date - The date (UTC).
+ * @returns {string} DD.MM.YYYY.
+ */
+function formatDateStr(date) {
+  return [date.getUTCDate(), date.getUTCMonth() + 1]
+    .map((part) => String(part).padStart(2, "0"))
+    .concat(date.getUTCFullYear())
+    .join(".");
+}
+
+/**
+ * Starts a fake appointment site with the pages of the "en" site profile: a captcha
+ * page, month views with day links, and day views with slot links. Free days, slot
+ * times and failing day views can be changed while the site runs.
+ * @param {{captchaText?: string}} [options] - The text that solves the captcha.
+ * @returns {Promise<{url: string, requests: Array<object>, freeDays: string[], slotTimes: string[], failingDays: Set<string>, captchaSubmissions: string[], profile: object, close: () => Promise<void>}>}
+ *   freeDays holds YYYY-MM-DD dates and failingDays the dates whose day view fails.
+ */
+export async function startFakeSite({ captchaText = "ABC123" } = {}) {
+  const sessions = new Map(); // Session cookie → whether the captcha was solved
+  let nextSession = 1;
+
+  const captchaPage = (isWrong) => `<html><body>
+    ${isWrong ? "<div>The entered text was wrong</div>" : ""}
+    <form id="appointment_captcha_month" action="appointment_captcha_month.do" method="post">
+      <input type="hidden" name="locationCode" value="test">
+      <div><captcha><div style="background:url('data:image/png;base64,${CAPTCHA_IMAGE}')"></div></captcha></div>
+      <input type="text" id="appointment_captcha_month_captchaText" name="captchaText">
+      <input type="submit" name="action:appointment_captcha_month" value="Continue">
+    </form></body></html>`;
+
+  const monthPage = (month) => {
+    const next = new Date(
+      Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1)
+    );
+    const prefix = `${month.getUTCFullYear()}-${String(
+      month.getUTCMonth() + 1
+    ).padStart(2, "0")}-`;
+    const days = site.freeDays.filter((date) => date.startsWith(prefix));
+    const dayLinks = days.map(
+      (date) =>
+        `<a href="appointment_showDay.do?locationCode=test&amp;dateStr=${formatDateStr(
+          new Date(`${date}T00:00:00Z`)
+        )}">Appointments are available</a>`
+    );
+    return `<html><body><div id="content"><div class="wrapper"><h2>${
+      month.getUTCMonth() + 1
+    }/${month.getUTCFullYear()} <a href="appointment_showMonth.do?locationCode=test&amp;dateStr=${formatDateStr(
+      next
+    )}">&gt;</a></h2>${
+      dayLinks.length > 0
+        ? dayLinks.join("\n")
+        : "<p>Unfortunately, there are no appointments available at this time.</p>"
+    }</div></div></body></html>`;
+  };
+
+  const stub = await startHttpStub(
+    ({ path: requestPath, query, headers, body }) => {
+      const page = requestPath.slice(SITE_PATH.length + 1);
+      const session = /JSESSIONID=(\w+)/.exec(headers.cookie ?? "")?.[1];
+      if (page === "appointment_showMonth.do") {
+        if (!sessions.get(session)) {
+          const id = `s${nextSession++}`;
+          sessions.set(id, false);
+          return {
+            headers: { "Set-Cookie": `JSESSIONID=${id}; Path=/` },
+            body: captchaPage(false),
+          };
+        }
+        const dateStr = query.get("dateStr");
+        const now = new Date();
+        const month = dateStr
+          ? new Date(
+              Date.UTC(
+                Number(dateStr.slice(6)),
+                Number(dateStr.slice(3, 5)) - 1,
+                1
+              )
+            )
+          : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+        return { body: monthPage(month) };
+      }
+      if (page === "appointment_captcha_month.do") {
+        site.captchaSubmissions.push(body?.captchaText);
+        if (!sessions.has(session) || body?.captchaText !== captchaText) {
+          return { body: captchaPage(true) };
+        }
+        sessions.set(session, true);
+        return {
+          status: 302,
+          headers: { Location: "appointment_showMonth.do?locationCode=test" },
+        };
+      }
+      if (page === "appointment_showDay.do") {
+        const [day, month, year] = query.get("dateStr").split(".");
+        if (site.failingDays.has(`${year}-${month}-${day}`)) {
+          return { status: 500, body: "Internal Server Error" };
+        }
+        return {
+          body: `<html><body>${site.slotTimes
+            .map(
+              (time, index) =>
+                `<div>${time} <a href="appointment_showForm.do?dateStr=${query.get(
+                  "dateStr"
+                )}&amp;slot=${index}">Book this appointment</a></div>`
+            )
+            .join("\n")}</body></html>`,
+        };
+      }
+      return { status: 404, body: "Not found" };
+    }
+  );
+
+  const profile = JSON.parse(
+    await fs.readFile(path.join(REPO_DIR, "site-profiles", "en.json"), "utf8")
+  );
+  profile.appointmentUrl = `${stub.url}${SITE_PATH}/appointment_showMonth.do`;
+
+  const site = {
+    url: stub.url,
+    requests: stub.requests,
+    freeDays: [],
+    slotTimes: ["09:00", "10:30"],
+    failingDays: new Set(),
+    captchaSubmissions: [],
+    profile,
+    close: stub.close,
+  };
+  return site;
+}
+
+/**
+ * Starts a stub of the createTask API that Anti-Captcha, 2Captcha and CapMonster share.
+ * Every task is solved on the first poll.
+ * @param {string|((request: object) => object|null)} solution - The text every task is
+ *   solved with, or a function returning the response for a request (null for the default).
+ * @returns {Promise<{url: string, requests: Array<object>, close: () => Promise<void>}>} The stub.
+ */
+export async function startCaptchaApiStub(solution) {
+  let nextTaskId = 1;
+  return startHttpStub((request) => {
+    const custom = typeof solution === "function" ? solution(request) : null;
+    if (custom) return { body: custom };
+    if (request.path.endsWith("/createTask")) {
+      return { body: { errorId: 0, taskId: nextTaskId++ } };
+    }
+    if (request.path.endsWith("/getTaskResult")) {
+      return {
+        body: {
+          errorId: 0,
+          status: "ready",
+          solution: { text: solution },
+          cost: "0.0007",
+        },
+      };
+    }
+    return { body: { errorId: 0, status: "success" } }; // Reports of wrong solutions
+  });
+}
+
+/**
+ * Returns a date a number of months from now, in YYYY-MM-DD format.
+ * @param {number} months - Months from the current one (0 = this month).
+ * @param {number} day - The day of the month.
+ * @returns {string} The date.
+ */
+export function dateInMonth(months, day) {
+  const now = new Date();
+  return new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + months, day)
+  )
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Starts the bot (node index.js) against a fake Telegram API, with its own data
+ * directory, HTTP checks and no scheduled checks (WORKING_HOURS=all=off), and waits
+ * for its startup message.
+ * @param {{env?: object, dataFiles?: Object<string, *>, site?: object}} [options] - Extra
+ *   environment variables, files to put in DATA_DIR first (strings as they are, other
+ *   values as JSON), and a site from startFakeSite to check instead of the real one.
+ * @returns {Promise<object>} The bot: telegram, dataDir, send, waitForMessage, output and stop.
+ */
+export async function startBot({ env = {}, dataFiles = {}, site } = {}) {
+  const telegram = await startFakeTelegram();
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "bot-test-"));
+  if (site) {
+    dataFiles = { "site-profile.json": site.profile, ...dataFiles };
+    env = { SITE_PROFILE: path.join(dataDir, "site-profile.json"), ...env };
+  }
+  for (const [name, content] of Object.entries(dataFiles)) {
+    await fs.writeFile(
+      path.join(dataDir, name),
+      typeof content === "string" ? content : JSON.stringify(content)
+    );
+  }
+
+  let output = "";
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: REPO_DIR,
+    env: {
+      PATH: process.env.PATH,
+      DOTENV_CONFIG_PATH: path.join(dataDir, ".env"), // Never a developer's .env
+      BOT_TOKEN: "123:test",
+      CHAT_ID: String(ADMIN_CHAT_ID),
+      TELEGRAM_API_URL: telegram.url,
+      DATA_DIR: dataDir,
+      CHECK_MODE: "http",
+      WORKING_HOURS: "all=off",
+      TIMEZONE: "UTC",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  const exited = once(child, "exit");
+
+  const bot = {
+    telegram,
+    dataDir,
+    output: () => output,
+    /**
+     * Sends a text message from the admin chat.
+     * @param {string} text - The message text.
+     * @returns {number} The number of messages the bot had sent before, for waitForMessage.
+     */
+    send(text, from) {
+      const mark = telegram.sent.length;
+      telegram.sendText(text, from);
+      return mark;
+    },
+    /**
+     * Waits for a message (or photo, document) from the bot.
+     * @param {(message: object) => boolean} predicate - Matches the message.
+     * @param {number} [since=0] - Only look at messages sent after this many.
+     * @returns {Promise<object>} The message.
+     */
+    async waitForMessage(predicate, since = 0) {
+      try {
+        return await waitFor(() => {
+          const message = telegram.sent.slice(since).find(predicate);
+          if (!message && child.exitCode !== null) {
+            throw new Error(`The bot exited with code ${child.exitCode}`);
+          }
+          return message;
+        }, "a Telegram message from the bot");
+      } catch (error) {
+        error.message += `\nSent: ${JSON.stringify(
+          telegram.sent
+            .slice(since)
+            .map((message) => message.text ?? message.caption)
+        )}\nOutput:\n${output}`;
+        throw error;
+      }
+    },
+    async stop() {
+      if (child.exitCode === null) child.kill();
+      await exited;
+      await telegram.close();
+      await fs.rm(dataDir, { recursive: true, force: true });
+    },
+  };
+
+  try {
+    await bot.waitForMessage((message) =>
+      message.text?.includes("Bot started")
+    );
+  } catch (error) {
+    await bot.stop();
+    throw error;
+  }
+  return bot;
+}
@@ -0,0 +1,129 @@
+// The HTTP notifiers against a local stub, sent through /notifiers test <name>
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startBot, startHttpStub, waitFor } from "./helpers.js";
+
+describe("notifiers", () => {
+  let stub;
+  let bot;
+
+  before(async () => {
+    stub = await startHttpStub(({ path }) =>
+      path === "/discord" ? { status: 500, body: "down" } : { body: {} }
+    );
+    bot = await startBot({
+      env: {
+        SLACK_WEBHOOK_URL: `${stub.url}/slack`,
+        DISCORD_WEBHOOK_URL: `${stub.url}/discord`,
+        NTFY_URL: `${stub.url}/ntfy`,
+        NTFY_TOPIC: "appointments",
+        NTFY_TOKEN: "ntfy-secret",
+        NTFY_PRIORITY: "4",
+        GOTIFY_URL: `${stub.url}/gotify/`,
+        GOTIFY_TOKEN: "gotify-secret",
+        MATRIX_HOMESERVER_URL: stub.url,
+        MATRIX_ACCESS_TOKEN: "matrix-secret",
+        MATRIX_ROOM_ID: "!room:example.org",
+        WEBHOOK_URL: `${stub.url}/hook`,
+        WEBHOOK_TEMPLATE: '{"event":"test","text":"{{title}}: {{message}}"}',
+      },
+      dataFiles: {
+        // Written as text: a __proto__ key in an object literal would set its prototype
+        "notifiers.json": `{
+          "webhook": {
+            "headers": { "Authorization": "Bearer hook-secret" },
+            "__proto__": { "polluted": true }
+          },
+          "__proto__": { "polluted": true },
+          "constructor": { "polluted": true }
+        }`,
+      },
+    });
+  });
+
+  after(async () => {
+    await bot?.stop();
+    await stub?.close();
+  });
+
+  /**
+   * Sends /notifiers test <name> and waits for the bot's reply and the stub request.
+   * @param {string} name - The notifier.
+   * @param {string} path - The path the notifier posts to.
+   * @returns {Promise<{reply: object, request: object}>} The reply and the request.
+   */
+  async function sendTest(name, path) {
+    const mark = bot.send(`/notifiers test ${name}`);
+    const reply = await bot.waitForMessage(
+      (message) => /^(✅|❌)/.test(message.text ?? ""),
+      mark
+    );
+    const request = await waitFor(
+      () => stub.requests.find((request) => request.path.startsWith(path)),
+      `a request to ${path}`
+    );
+    return { reply, request };
+  }
+
+  test("Slack posts the title and message as text", async () => {
+    const { reply, request } = await sendTest("slack", "/slack");
+    assert.match(reply.text, /Test notification sent via Slack/);
+    assert.equal(request.method, "POST");
+    assert.match(request.body.text, /^\*Test notification\*\n🧪/);
+  });
+
+  test("a failing notifier reports the error", async () => {
+    const { reply, request } = await sendTest("discord", "/discord");
+    assert.match(reply.text, /^❌ .*500/);
+    assert.match(request.body.content, /^\*\*Test notification\*\*/);
+  });
+
+  test("ntfy publishes JSON with the topic, priority and token", async () => {
+    const { reply, request } = await sendTest("ntfy", "/ntfy");
+    assert.match(reply.text, /sent via ntfy/);
+    assert.equal(request.headers.authorization, "Bearer ntfy-secret");
+    assert.equal(request.body.topic, "appointments");
+    assert.equal(request.body.priority, 4);
+    assert.equal(request.body.title, "Test notification");
+  });
+
+  test("Gotify posts to /message with the app token", async () => {
+    const { request } = await sendTest("gotify", "/gotify");
+    assert.equal(request.path, "/gotify/message");
+    assert.equal(request.headers["x-gotify-key"], "gotify-secret");
+    assert.equal(request.body.priority, 8);
+  });
+
+  test("Matrix sends a room message with a transaction ID", async () => {
+    const { request } = await sendTest("matrix", "/_matrix");
+    assert.equal(request.method, "PUT");
+    assert.match(
+      request.path,
+      /^\/_matrix\/client\/v3\/rooms\/!room%3Aexample\.org\/send\/m\.room\.message\/\d+-[0-9a-f]+$/
+    );
+    assert.equal(request.headers.authorization, "Bearer matrix-secret");
+    assert.equal(request.body.msgtype, "m.text");
+  });
+
+  test("the webhook renders its template and sends the headers from notifiers.json", async () => {
+    const { request } = await sendTest("webhook", "/hook");
+    assert.equal(request.headers.authorization, "Bearer hook-secret");
+    assert.deepEqual(Object.keys(request.body), ["event", "text"]);
+    assert.match(request.body.text, /^Test notification: 🧪/);
+  });
+
+  test("prototype keys in notifiers.json are skipped", async () => {
+    assert.match(bot.output(), /Unknown notifier "__proto__"/);
+    assert.match(bot.output(), /Unknown notifier "constructor"/);
+    assert.match(bot.output(), /Unknown setting "__proto__" for webhook/);
+  });
+});
+
+describe("notifier priorities", () => {
+  test("an invalid NTFY_PRIORITY stops the bot at startup", async () => {
+    await assert.rejects(
+      startBot({ env: { NTFY_TOPIC: "appointments", NTFY_PRIORITY: "high" } }),
+      /Invalid NTFY_PRIORITY: priority must be a whole number from 1 to 5/
+    );
+  });
+});
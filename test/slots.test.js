@@ -0,0 +1,110 @@
+// Which free slots count as new, still free or gone between checks (alerted-slots.json)
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  dateInMonth,
+  startBot,
+  startCaptchaApiStub,
+  startFakeSite,
+} from "./helpers.js";
+
+describe("alerted slots", () => {
+  const firstDay = dateInMonth(1, 12);
+  const secondDay = dateInMonth(1, 20);
+  let site;
+  let api;
+  let bot;
+
+  before(async () => {
+    site = await startFakeSite();
+    api = await startCaptchaApiStub("ABC123");
+    bot = await startBot({
+      site,
+      env: {
+        CAPTCHA_SOLVERS: "anticaptcha",
+        ANTI_CAPTCHA_API_KEY: "anticaptcha-key",
+        ANTICAPTCHA_API_URL: api.url,
+      },
+    });
+  });
+
+  after(async () => {
+    await bot?.stop();
+    await api?.close();
+    await site?.close();
+  });
+
+  /**
+   * Runs /checknow and waits for its result; an alert is acknowledged with OK.
+   * @returns {Promise<string[]>} The texts the bot sent during the check.
+   */
+  async function checkNow() {
+    const mark = bot.send("/checknow");
+    const result = await bot.waitForMessage(
+      (message) =>
+        /^(→|‼️)/.test(message.text ?? "") &&
+        !message.text.startsWith("→ Booking"),
+      mark
+    );
+    if (result.text.startsWith("‼️")) {
+      bot.send("OK");
+      await bot.waitForMessage(
+        (message) => message.text?.startsWith("🆗 Alert acknowledged"),
+        mark
+      );
+    }
+    return bot.telegram.sent
+      .slice(mark)
+      .map((message) => message.text ?? message.caption ?? "");
+  }
+
+  test("the first free day raises the alert with its times", async () => {
+    site.freeDays.push(firstDay);
+    const texts = await checkNow();
+    const alert = texts.find((text) => text.startsWith("‼️"));
+    assert.match(alert, /Appointment AVAILABLE/);
+    assert.match(alert, /09:00/);
+  });
+
+  test("a day whose times can't be read is not taken for a change", async () => {
+    site.failingDays.add(firstDay);
+    const texts = await checkNow();
+    assert.ok(
+      texts.some((text) => text.startsWith("→ [Kigali] Still free")),
+      texts.join("\n")
+    );
+    assert.ok(!texts.some((text) => /Slots changed|Slots gone|‼️/.test(text)));
+  });
+
+  test("the times showing again are not new", async () => {
+    site.failingDays.clear();
+    const texts = await checkNow();
+    assert.ok(
+      texts.some((text) => text.startsWith("→ [Kigali] Still free")),
+      texts.join("\n")
+    );
+    assert.ok(!texts.some((text) => text.startsWith("‼️")));
+  });
+
+  test("a new day alerts again, naming only the new slots", async () => {
+    site.freeDays.push(secondDay);
+    const texts = await checkNow();
+    const alert = texts.find((text) => text.startsWith("‼️"));
+    assert.match(alert, new RegExp(`New since the last alert: ${secondDay}`));
+    assert.doesNotMatch(alert.split("New since")[1], new RegExp(firstDay));
+  });
+
+  test("a time that is taken is reported once, without the alarm", async () => {
+    site.slotTimes.pop();
+    const texts = await checkNow();
+    assert.ok(
+      texts.some((text) =>
+        new RegExp(
+          `Slots changed. No longer free: ${firstDay} 10:30, ${secondDay} 10:30`
+        ).test(text)
+      ),
+      texts.join("\n")
+    );
+    assert.ok(!texts.some((text) => text.startsWith("‼️")));
+  });
+});
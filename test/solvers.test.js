@@ -0,0 +1,172 @@
+// The captcha solvers and their fallback chain, solving the fake site's captcha in /checknow
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, test } from "node:test";
+import {
+  startBot,
+  startCaptchaApiStub,
+  startFakeSite,
+  waitFor,
+} from "./helpers.js";
+
+const CAPTCHA_TEXT = "ABC123";
+
+describe("captcha solvers", () => {
+  let site;
+  let bot;
+  const stubs = [];
+
+  before(async () => {
+    site = await startFakeSite({ captchaText: CAPTCHA_TEXT });
+  });
+
+  afterEach(async () => {
+    await bot?.stop();
+    bot = null;
+    for (const stub of stubs.splice(0)) await stub.close();
+    site.captchaSubmissions.length = 0;
+  });
+
+  after(async () => {
+    await site?.close();
+  });
+
+  /**
+   * Starts a captcha API stub that is closed after the test.
+   * @param {string|Function} solution - See startCaptchaApiStub.
+   * @returns {Promise<object>} The stub.
+   */
+  async function startApi(solution) {
+    const stub = await startCaptchaApiStub(solution);
+    stubs.push(stub);
+    return stub;
+  }
+
+  /**
+   * Runs /checknow and waits for the check's result.
+   * @returns {Promise<object>} The "No appointments" message.
+   */
+  async function checkNow() {
+    const mark = bot.send("/checknow");
+    return bot.waitForMessage(
+      (message) => message.text?.includes("No appointments found"),
+      mark
+    );
+  }
+
+  test("Anti-Captcha solves the captcha", async () => {
+    const api = await startApi(CAPTCHA_TEXT);
+    bot = await startBot({
+      site,
+      env: {
+        CAPTCHA_SOLVERS: "anticaptcha",
+        ANTI_CAPTCHA_API_KEY: "anticaptcha-key",
+        ANTICAPTCHA_API_URL: api.url,
+      },
+    });
+    await checkNow();
+    assert.deepEqual(site.captchaSubmissions, [CAPTCHA_TEXT]);
+    const [createTask] = api.requests;
+    assert.equal(createTask.path, "/createTask");
+    assert.equal(createTask.body.clientKey, "anticaptcha-key");
+    assert.equal(createTask.body.task.type, "ImageToTextTask");
+    assert.equal(createTask.body.task.minLength, 6);
+  });
+
+  test("a failing solver falls back to the next one", async () => {
+    const failing = await startApi(() => ({
+      errorId: 1,
+      errorCode: "ERROR_KEY_DOES_NOT_EXIST",
+      errorDescription: "Account authorization key not found",
+    }));
+    const twoCaptcha = await startApi(CAPTCHA_TEXT);
+    bot = await startBot({
+      site,
+      env: {
+        CAPTCHA_SOLVERS: "anticaptcha,2captcha",
+        ANTI_CAPTCHA_API_KEY: "wrong-key",
+        ANTICAPTCHA_API_URL: failing.url,
+        TWOCAPTCHA_API_KEY: "2captcha-key",
+        TWOCAPTCHA_API_URL: twoCaptcha.url,
+      },
+    });
+    await checkNow();
+    assert.deepEqual(site.captchaSubmissions, [CAPTCHA_TEXT]);
+    assert.equal(failing.requests.length, 1);
+    assert.equal(twoCaptcha.requests[0].body.clientKey, "2captcha-key");
+    assert.match(bot.output(), /Captcha solver Anti-Captcha failed/);
+  });
+
+  test("CapMonster solves the captcha", async () => {
+    const api = await startApi(CAPTCHA_TEXT);
+    bot = await startBot({
+      site,
+      env: {
+        CAPTCHA_SOLVERS: "capmonster",
+        CAPMONSTER_API_KEY: "capmonster-key",
+        CAPMONSTER_API_URL: api.url,
+      },
+    });
+    await checkNow();
+    assert.deepEqual(site.captchaSubmissions, [CAPTCHA_TEXT]);
+    assert.equal(api.requests[0].body.clientKey, "capmonster-key");
+  });
+
+  test("a wrong solution is reported and the captcha solved again", async () => {
+    let tasks = 0;
+    const api = await startApi(({ path }) => {
+      if (path === "/createTask") return { errorId: 0, taskId: ++tasks };
+      if (path === "/getTaskResult") {
+        return {
+          errorId: 0,
+          status: "ready",
+          solution: { text: tasks === 1 ? "WRONG1" : CAPTCHA_TEXT },
+        };
+      }
+      return null;
+    });
+    bot = await startBot({
+      site,
+      env: {
+        CAPTCHA_SOLVERS: "anticaptcha",
+        ANTI_CAPTCHA_API_KEY: "anticaptcha-key",
+        ANTICAPTCHA_API_URL: api.url,
+      },
+    });
+    await checkNow();
+    assert.deepEqual(site.captchaSubmissions, ["WRONG1", CAPTCHA_TEXT]);
+    const report = api.requests.find(
+      (request) => request.path === "/reportIncorrectImageCaptcha"
+    );
+    assert.equal(report?.body.taskId, 1);
+  });
+
+  test("the manual solver takes a full-length reply and ignores an OK", async () => {
+    bot = await startBot({ site, env: { CAPTCHA_SOLVERS: "manual" } });
+    const mark = bot.send("/checknow");
+    await bot.waitForMessage((message) => message.method === "sendPhoto", mark);
+    bot.send("OK");
+    bot.send(CAPTCHA_TEXT);
+    await bot.waitForMessage(
+      (message) => message.text?.includes("No appointments found"),
+      mark
+    );
+    assert.deepEqual(site.captchaSubmissions, [CAPTCHA_TEXT]);
+  });
+
+  test("the manual solver gives up when nobody answers", async () => {
+    bot = await startBot({
+      site,
+      env: { CAPTCHA_SOLVERS: "manual", MANUAL_CAPTCHA_TIMEOUT_SECONDS: "1" },
+    });
+    const mark = bot.send("/checknow");
+    await bot.waitForMessage(
+      (message) => message.text === "⌛ Nobody answered the captcha in time.",
+      mark
+    );
+    await waitFor(
+      () => /no answer within 1s/.test(bot.output()),
+      "the solver failure in the log"
+    );
+    assert.deepEqual(site.captchaSubmissions, []);
+  });
+});